@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const cli = require("../lib/cli");
+
+cli(
+	process.argv.slice(2),
+	{
+		stdin: process.stdin,
+		stdout: process.stdout,
+		stderr: process.stderr,
+		cwd: process.cwd()
+	},
+	exitCode => {
+		process.exitCode = exitCode;
+	}
+);
@@ -40,7 +40,7 @@ module.exports = class AliasFieldPlugin {
 					request.descriptionFileData,
 					this.field
 				);
-				if (typeof fieldData !== "object") {
+				if (fieldData === null || typeof fieldData !== "object") {
 					if (resolveContext.log)
 						resolveContext.log(
 							"Field '" +
@@ -5,11 +5,52 @@
 
 "use strict";
 
+const { patternKeyCompare } = require("./entrypoints");
 const forEachBail = require("./forEachBail");
 
 /** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").ResolveRequest} ResolveRequest */
 /** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
-/** @typedef {{alias: string|Array<string>|false, name: string, onlyModule?: boolean}} AliasOption */
+/** @typedef {string|Array<string>|false} AliasTarget */
+/** @typedef {function(string, ResolveRequest): AliasTarget | undefined | Promise<AliasTarget | undefined>} AliasFunction */
+/** @typedef {{alias: AliasTarget|AliasFunction, name: string|RegExp, onlyModule?: boolean}} AliasOption */
+
+/**
+ * @param {any} result result of an alias function
+ * @returns {boolean} true, when the result is a string, an array of strings, false or undefined
+ */
+const isValidFunctionResult = result =>
+	result === undefined ||
+	result === false ||
+	typeof result === "string" ||
+	(Array.isArray(result) &&
+		result.every(item => item === false || typeof item === "string"));
+
+/**
+ * @param {AliasOption} item alias option
+ * @returns {boolean} true, when the name is a string with a "*"
+ */
+const isWildcard = item =>
+	typeof item.name === "string" && item.name.includes("*");
+
+/**
+ * @param {string} name alias name with a "*"
+ * @param {string} request request
+ * @returns {string | null} the part of the request matched by "*"
+ */
+const matchWildcard = (name, request) => {
+	const starIndex = name.indexOf("*");
+	const prefix = name.slice(0, starIndex);
+	const suffix = name.slice(starIndex + 1);
+	if (
+		request.length < prefix.length + suffix.length ||
+		!request.startsWith(prefix) ||
+		!request.endsWith(suffix)
+	) {
+		return null;
+	}
+	return request.slice(prefix.length, request.length - suffix.length);
+};
 
 module.exports = class AliasPlugin {
 	/**
@@ -19,7 +60,19 @@ module.exports = class AliasPlugin {
 	 */
 	constructor(source, options, target) {
 		this.source = source;
-		this.options = Array.isArray(options) ? options : [options];
+		const items = Array.isArray(options) ? options : [options];
+		// Wildcard aliases are tried after the others, the most specific first
+		this.options = [
+			...items.filter(item => !isWildcard(item)),
+			...items
+				.filter(isWildcard)
+				.sort((a, b) =>
+					patternKeyCompare(
+						/** @type {string} */ (a.name),
+						/** @type {string} */ (b.name)
+					)
+				)
+		];
 		this.target = target;
 	}
 
@@ -37,69 +90,151 @@ module.exports = class AliasPlugin {
 				forEachBail(
 					this.options,
 					(item, callback) => {
-						let shouldStop = false;
+						const name = item.name;
+						// patterns and functions don't match resolved paths,
+						// the aliased path could match again
 						if (
-							innerRequest === item.name ||
-							(!item.onlyModule && innerRequest.startsWith(item.name + "/"))
+							!request.request &&
+							(name instanceof RegExp ||
+								isWildcard(item) ||
+								typeof item.alias === "function")
 						) {
-							const remainingRequest = innerRequest.substr(item.name.length);
-							const resolveWithAlias = (alias, callback) => {
-								if (alias === false) {
-									const ignoreObj = {
-										...request,
-										path: false
-									};
-									return callback(null, ignoreObj);
-								}
-								if (
-									innerRequest !== alias &&
-									!innerRequest.startsWith(alias + "/")
-								) {
-									shouldStop = true;
-									const newRequestStr = alias + remainingRequest;
-									const obj = {
-										...request,
-										request: newRequestStr
-									};
-									return resolver.doResolve(
-										target,
-										obj,
-										"aliased with mapping '" +
-											item.name +
-											"': '" +
-											alias +
-											"' to '" +
-											newRequestStr +
-											"'",
-										resolveContext,
-										(err, result) => {
-											if (err) return callback(err);
-											if (result) return callback(null, result);
-											return callback();
-										}
-									);
-								}
-								return callback();
+							return callback();
+						}
+						let shouldStop = false;
+						/** @type {function(string): string | null} */
+						let getNewRequest;
+						if (name instanceof RegExp) {
+							name.lastIndex = 0;
+							const match = name.exec(innerRequest);
+							if (match === null) return callback();
+							getNewRequest = alias => {
+								const newRequestStr = alias.replace(/\$(\d+|&)/g, (_, group) =>
+									group === "&" ? match[0] : match[+group] || ""
+								);
+								return newRequestStr !== innerRequest ? newRequestStr : null;
 							};
-							const stoppingCallback = (err, result) => {
-								if (err) return callback(err);
-
-								if (result) return callback(null, result);
-								// Don't allow other aliasing or raw request
-								if (shouldStop) return callback(null, null);
-								return callback();
+						} else if (name.includes("*")) {
+							const captured = matchWildcard(name, innerRequest);
+							if (captured === null) return callback();
+							getNewRequest = alias => {
+								// a function keeps "$" in the captured segment literal
+								const newRequestStr = alias.replace(/\*/g, () => captured);
+								return newRequestStr !== innerRequest ? newRequestStr : null;
 							};
-							if (Array.isArray(item.alias)) {
-								return forEachBail(
-									item.alias,
-									resolveWithAlias,
-									stoppingCallback
+						} else if (
+							innerRequest === name ||
+							(!item.onlyModule && innerRequest.startsWith(name + "/"))
+						) {
+							const remainingRequest = innerRequest.substr(name.length);
+							getNewRequest = alias =>
+								innerRequest !== alias && !innerRequest.startsWith(alias + "/")
+									? alias + remainingRequest
+									: null;
+						} else {
+							return callback();
+						}
+						const resolveWithAlias = (alias, callback) => {
+							if (alias === false) {
+								const ignoreObj = {
+									...request,
+									path: false
+								};
+								if (resolveContext.log) {
+									resolveContext.log(`ignored with mapping '${name}'`);
+								}
+								return callback(null, ignoreObj);
+							}
+							const newRequestStr = getNewRequest(alias);
+							if (newRequestStr !== null) {
+								shouldStop = true;
+								const obj = {
+									...request,
+									request: newRequestStr
+								};
+								return resolver.doResolve(
+									target,
+									obj,
+									"aliased with mapping '" +
+										name +
+										"': '" +
+										alias +
+										"' to '" +
+										newRequestStr +
+										"'",
+									resolveContext,
+									(err, result) => {
+										if (err) return callback(err);
+										if (result) return callback(null, result);
+										return callback();
+									}
 								);
+							}
+							return callback();
+						};
+						const stoppingCallback = (err, result) => {
+							if (err) return callback(err);
+
+							if (result) return callback(null, result);
+							// Don't allow other aliasing or raw request
+							if (shouldStop) return callback(null, null);
+							return callback();
+						};
+						/**
+						 * @param {AliasTarget} alias alias
+						 * @returns {void}
+						 */
+						const resolveWithAliases = alias => {
+							if (Array.isArray(alias)) {
+								return forEachBail(alias, resolveWithAlias, stoppingCallback);
 							} else {
-								return resolveWithAlias(item.alias, stoppingCallback);
+								return resolveWithAlias(alias, stoppingCallback);
+							}
+						};
+						const alias = item.alias;
+						if (typeof alias !== "function") return resolveWithAliases(alias);
+						// The function decides about the whole new request
+						getNewRequest = newRequestStr =>
+							newRequestStr !== innerRequest ? newRequestStr : null;
+						const onFunctionResult = result => {
+							if (!isValidFunctionResult(result)) {
+								return callback(
+									new Error(
+										`Alias function of mapping '${name}' returned ${String(
+											result
+										)}, but it must return a string, an array of strings, false or undefined`
+									)
+								);
+							}
+							// undefined means that the function doesn't handle the request
+							if (result === undefined) return callback();
+							if (resolveContext.log) {
+								resolveContext.log(
+									`alias function of mapping '${name}' returned ${JSON.stringify(
+										result
+									)}`
+								);
 							}
+							resolveWithAliases(result);
+						};
+						let result;
+						try {
+							result = alias(innerRequest, request);
+						} catch (e) {
+							return callback(e);
+						}
+						if (
+							result &&
+							typeof /** @type {any} */ (result.then) === "function"
+						) {
+							// the resolving continues outside of the promise chain,
+							// so errors thrown by it don't become unhandled rejections
+							return /** @type {Promise<AliasTarget | undefined>} */ (result).then(
+								result => process.nextTick(onFunctionResult, result),
+								err => process.nextTick(callback, err)
+							);
 						}
-						return callback();
+						onFunctionResult(/** @type {AliasTarget | undefined} */ (result));
 					},
 					callback
 				);
@@ -0,0 +1,72 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").ResolveError} ResolveError */
+/** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
+/** @typedef {"external" | "error" | "resolve"} BuiltinsMode */
+
+module.exports = class BuiltinModulesPlugin {
+	/**
+	 * @param {string | ResolveStepHook} source source
+	 * @param {Set<string>} builtinModules names of the builtin modules
+	 * @param {"external" | "error"} mode how builtin modules are handled
+	 * @param {string | ResolveStepHook} target target of builtin modules, which are resolved to themselves
+	 */
+	constructor(source, builtinModules, mode, target) {
+		this.source = source;
+		this.builtinModules = builtinModules;
+		this.mode = mode;
+		this.target = target;
+	}
+
+	/**
+	 * @param {Resolver} resolver the resolver
+	 * @returns {void}
+	 */
+	apply(resolver) {
+		const target = resolver.ensureHook(this.target);
+		resolver
+			.getHook(this.source)
+			.tapAsync("BuiltinModulesPlugin", (request, resolveContext, callback) => {
+				const innerRequest = request.request;
+				if (!innerRequest) return callback();
+				// "node:" requests are always builtin, even when they are not in the list
+				if (
+					!innerRequest.startsWith("node:") &&
+					!this.builtinModules.has(innerRequest)
+				) {
+					return callback();
+				}
+				if (this.mode === "error") {
+					/** @type {ResolveError} */
+					const error = new Error(
+						`Can't resolve '${innerRequest}' because it's a Node.js builtin module, which isn't available for this target`
+					);
+					error.code = "BUILTIN_NOT_AVAILABLE";
+					return callback(error);
+				}
+				const obj = {
+					...request,
+					path: innerRequest,
+					builtin: true
+				};
+				// the result hooks and restrictions see builtin modules too
+				resolver.doResolve(
+					target,
+					obj,
+					`${innerRequest} is a builtin module`,
+					resolveContext,
+					(err, result) => {
+						if (err) return callback(err);
+						// don't look for a module when the builtin module was rejected
+						callback(null, result || null);
+					}
+				);
+			});
+	}
+};
@@ -0,0 +1,124 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const getPaths = require("./getPaths");
+
+/**
+ * @param {any[]} entries directory entries
+ * @param {string} name name of the entry
+ * @returns {string} name of the entry with the case from the directory, or the name when there is no entry
+ */
+function findEntry(entries, name) {
+	const names = entries.map(entry => `${entry}`);
+	if (names.includes(name)) return name;
+	const lowerName = name.toLowerCase();
+	const entry = names.find(entry => entry.toLowerCase() === lowerName);
+	return entry === undefined ? name : entry;
+}
+
+/**
+ * @param {string} path original path
+ * @param {string} realPath start of the path in the case of the file system
+ * @param {string} name name of the next segment
+ * @returns {string} the real path with the segment appended, using the separator of the original path
+ */
+function appendSegment(path, realPath, name) {
+	const last = realPath[realPath.length - 1];
+	return last === "/" || last === "\\"
+		? realPath + name
+		: realPath + path[realPath.length] + name;
+}
+
+/**
+ * Makes a case-sensitive file system, e.g. an in-memory file system, behave
+ * like a case-insensitive file system. Paths are matched case-insensitively,
+ * but directory listings keep the case of the entries.
+ */
+module.exports = class CaseInsensitiveFileSystem {
+	/**
+	 * @param {Object} fs file system implementation with readdir and readdirSync
+	 */
+	constructor(fs) {
+		this.fs = fs;
+	}
+
+	/**
+	 * @param {string} path path in any case
+	 * @param {function(string): void} callback callback with the path in the case of the file system
+	 * @returns {void}
+	 */
+	_findPath(path, callback) {
+		const { paths, seqments } = getPaths(path);
+		let i = paths.length - 1;
+		let realPath = paths[i];
+		const next = () => {
+			if (i === 0) return callback(realPath);
+			const name = seqments[--i];
+			this.fs.readdir(realPath, (err, entries) => {
+				realPath = appendSegment(
+					path,
+					realPath,
+					err || !entries ? name : findEntry(entries, name)
+				);
+				next();
+			});
+		};
+		next();
+	}
+
+	/**
+	 * @param {string} path path in any case
+	 * @returns {string} the path in the case of the file system
+	 */
+	_findPathSync(path) {
+		const { paths, seqments } = getPaths(path);
+		let realPath = paths[paths.length - 1];
+		for (let i = paths.length - 2; i >= 0; i--) {
+			const name = seqments[i];
+			let entries;
+			try {
+				entries = this.fs.readdirSync(realPath);
+			} catch (e) {
+				entries = [];
+			}
+			realPath = appendSegment(path, realPath, findEntry(entries, name));
+		}
+		return realPath;
+	}
+
+	stat(path, callback) {
+		this._findPath(path, realPath => this.fs.stat(realPath, callback));
+	}
+
+	statSync(path) {
+		return this.fs.statSync(this._findPathSync(path));
+	}
+
+	readdir(path, callback) {
+		this._findPath(path, realPath => this.fs.readdir(realPath, callback));
+	}
+
+	readdirSync(path) {
+		return this.fs.readdirSync(this._findPathSync(path));
+	}
+
+	readFile(path, callback) {
+		this._findPath(path, realPath => this.fs.readFile(realPath, callback));
+	}
+
+	readFileSync(path) {
+		return this.fs.readFileSync(this._findPathSync(path));
+	}
+
+	readlink(path, callback) {
+		this._findPath(path, realPath => this.fs.readlink(realPath, callback));
+	}
+
+	readlinkSync(path) {
+		return this.fs.readlinkSync(this._findPathSync(path));
+	}
+};
@@ -0,0 +1,92 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const getPaths = require("./getPaths");
+
+/** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").ResolveError} ResolveError */
+/** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
+
+module.exports = class CaseSensitivePlugin {
+	/**
+	 * @param {string | ResolveStepHook} source source
+	 * @param {"enforce" | "warn"} mode "enforce" fails on a mismatch, "warn" adds a warning to the resolve context
+	 */
+	constructor(source, mode) {
+		this.source = source;
+		this.mode = mode;
+	}
+
+	/**
+	 * @param {Resolver} resolver the resolver
+	 * @returns {void}
+	 */
+	apply(resolver) {
+		resolver
+			.getHook(this.source)
+			.tapAsync("CaseSensitivePlugin", (request, resolveContext, callback) => {
+				const path = request.path;
+				if (!path) return callback();
+				this._findCaseMismatch(
+					resolver,
+					path,
+					request.contextPath,
+					(name, actualName) => {
+						if (name === undefined) return callback();
+						/** @type {ResolveError} */
+						const error = new Error(
+							`The path ${path} doesn't match the case on the file system: '${name}' is '${actualName}'`
+						);
+						error.code = "CASE_MISMATCH";
+						if (this.mode === "enforce") return callback(error);
+						if (resolveContext.warnings) resolveContext.warnings.add(error);
+						if (resolveContext.log) resolveContext.log(error.message);
+						callback();
+					}
+				);
+			});
+	}
+
+	/**
+	 * Compares each segment of the path below the context with the entries of its directory
+	 * @param {Resolver} resolver the resolver
+	 * @param {string} path an existing path
+	 * @param {string | undefined} contextPath path of the resolve call, its segments are not checked
+	 * @param {function(string=, string=): void} callback callback with the first mismatching segment and its actual name
+	 * @returns {void}
+	 */
+	_findCaseMismatch(resolver, path, contextPath, callback) {
+		const fs = resolver.fileSystem;
+		const readdir = fs.readdir;
+		if (!readdir) return callback();
+		const { paths, seqments } = getPaths(path);
+		// the context and its parents aren't written in the request
+		const contextPaths = new Set(
+			contextPath ? getPaths(contextPath).paths : []
+		);
+		let i = paths.length - 1;
+		const next = () => {
+			if (i === 0) return callback();
+			const directory = paths[i];
+			const name = seqments[--i];
+			if (contextPaths.has(paths[i])) return next();
+			readdir.call(fs, directory, (err, entries) => {
+				// the case can't be checked without the entries
+				if (err || !entries) return next();
+				const names = entries.map(entry => `${entry}`);
+				if (names.includes(name)) return next();
+				const lowerName = name.toLowerCase();
+				const actualName = names.find(
+					entry => entry.toLowerCase() === lowerName
+				);
+				if (actualName === undefined) return next();
+				callback(name, actualName);
+			});
+		};
+		next();
+	}
+};
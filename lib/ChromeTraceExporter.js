@@ -0,0 +1,114 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/** @typedef {import("./Resolver").TraceEvent} TraceEvent */
+
+/**
+ * @typedef {Object} ChromeTraceEvent
+ * @property {string} name name of the event
+ * @property {string=} cat category of the event
+ * @property {"B" | "E" | "X" | "M"} ph phase of the event
+ * @property {number} ts timestamp in microseconds
+ * @property {number=} dur duration in microseconds
+ * @property {number} pid process id
+ * @property {number} tid thread id, the id of the resolve call
+ * @property {Object=} args arguments of the event
+ */
+
+/**
+ * Collects trace events and exports them in the Chrome trace event format,
+ * which can be opened in Chrome DevTools, chrome://tracing or Perfetto.
+ * Every resolve call is shown as a thread.
+ */
+module.exports = class ChromeTraceExporter {
+	constructor() {
+		/** @type {TraceEvent[]} */
+		this.events = [];
+		/** @type {function(TraceEvent): void} trace sink for the resolve context */
+		this.trace = event => {
+			this.events.push(event);
+		};
+	}
+
+	/**
+	 * @returns {{traceEvents: ChromeTraceEvent[]}} the trace in the Chrome trace event format
+	 */
+	toJSON() {
+		/** @type {ChromeTraceEvent[]} */
+		const traceEvents = [];
+		for (const event of this.events) {
+			const ts = Math.round(event.time * 1000);
+			const tid = event.id || 0;
+			switch (event.type) {
+				case "resolve": {
+					const name = `resolve '${event.request}' in '${event.path}'`;
+					traceEvents.push({
+						name: "thread_name",
+						ph: "M",
+						ts,
+						pid: 1,
+						tid,
+						args: { name }
+					});
+					traceEvents.push({
+						name,
+						cat: "resolve",
+						ph: "B",
+						ts,
+						pid: 1,
+						tid,
+						args: { path: event.path, request: event.request }
+					});
+					break;
+				}
+				case "enter":
+					traceEvents.push({
+						name: /** @type {string} */ (event.hook),
+						cat: "hook",
+						ph: "B",
+						ts,
+						pid: 1,
+						tid,
+						args: {
+							plugin: event.plugin,
+							message: event.message,
+							request: event.snapshot
+						}
+					});
+					break;
+				case "finish":
+				case "leave":
+					traceEvents.push({
+						name: event.type === "finish" ? "resolve" : "hook",
+						ph: "E",
+						ts,
+						pid: 1,
+						tid,
+						args: {
+							outcome: event.outcome,
+							result: event.result,
+							error: event.error
+						}
+					});
+					break;
+				case "fs":
+					traceEvents.push({
+						name: `${event.method} ${event.path}`,
+						cat: "fs",
+						ph: "X",
+						ts,
+						dur: Math.round((event.duration || 0) * 1000),
+						pid: 1,
+						tid,
+						args: { path: event.path, error: event.error }
+					});
+					break;
+			}
+		}
+		return { traceEvents };
+	}
+};
@@ -0,0 +1,48 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
+
+module.exports = class DataSchemePlugin {
+	/**
+	 * @param {string | ResolveStepHook} target target
+	 */
+	constructor(target) {
+		this.target = target;
+	}
+
+	/**
+	 * @param {Resolver} resolver the resolver
+	 * @returns {void}
+	 */
+	apply(resolver) {
+		const target = resolver.ensureHook(this.target);
+		resolver.hooks.scheme
+			.for("data")
+			.tapAsync("DataSchemePlugin", (request, resolveContext, callback) => {
+				// data uris contain their content and are passed through unchanged
+				const obj = {
+					...request,
+					path: /** @type {string} */ (request.request),
+					query: "",
+					fragment: ""
+				};
+				resolver.doResolve(
+					target,
+					obj,
+					"data uri",
+					resolveContext,
+					(err, result) => {
+						if (err) return callback(err);
+						// don't look for a module when the data uri was rejected
+						callback(null, result || null);
+					}
+				);
+			});
+	}
+};
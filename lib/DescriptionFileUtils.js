@@ -6,6 +6,7 @@
 "use strict";
 
 const forEachBail = require("./forEachBail");
+const { traceFileSystemCall } = require("./traceUtils");
 
 function loadDescriptionFile(
 	resolver,
@@ -25,43 +26,61 @@ function loadDescriptionFile(
 			(filename, callback) => {
 				const descriptionFilePath = resolver.join(directory, filename);
 				if (resolver.fileSystem.readJson) {
-					resolver.fileSystem.readJson(descriptionFilePath, (err, content) => {
-						if (err) {
-							if (typeof err.code !== "undefined") {
-								if (resolveContext.missingDependencies) {
-									resolveContext.missingDependencies.add(descriptionFilePath);
+					resolver.fileSystem.readJson(
+						descriptionFilePath,
+						traceFileSystemCall(
+							resolveContext,
+							"readJson",
+							descriptionFilePath,
+							(err, content) => {
+								if (err) {
+									if (typeof err.code !== "undefined") {
+										if (resolveContext.missingDependencies) {
+											resolveContext.missingDependencies.add(
+												descriptionFilePath
+											);
+										}
+										return callback();
+									}
+									if (resolveContext.fileDependencies) {
+										resolveContext.fileDependencies.add(descriptionFilePath);
+									}
+									return onJson(err);
 								}
-								return callback();
-							}
-							if (resolveContext.fileDependencies) {
-								resolveContext.fileDependencies.add(descriptionFilePath);
+								if (resolveContext.fileDependencies) {
+									resolveContext.fileDependencies.add(descriptionFilePath);
+								}
+								onJson(null, content);
 							}
-							return onJson(err);
-						}
-						if (resolveContext.fileDependencies) {
-							resolveContext.fileDependencies.add(descriptionFilePath);
-						}
-						onJson(null, content);
-					});
+						)
+					);
 				} else {
-					resolver.fileSystem.readFile(descriptionFilePath, (err, content) => {
-						if (err) {
-							if (resolveContext.missingDependencies) {
-								resolveContext.missingDependencies.add(descriptionFilePath);
+					resolver.fileSystem.readFile(
+						descriptionFilePath,
+						traceFileSystemCall(
+							resolveContext,
+							"readFile",
+							descriptionFilePath,
+							(err, content) => {
+								if (err) {
+									if (resolveContext.missingDependencies) {
+										resolveContext.missingDependencies.add(descriptionFilePath);
+									}
+									return callback();
+								}
+								if (resolveContext.fileDependencies) {
+									resolveContext.fileDependencies.add(descriptionFilePath);
+								}
+								let json;
+								try {
+									json = JSON.parse(content);
+								} catch (e) {
+									onJson(e);
+								}
+								onJson(null, json);
 							}
-							return callback();
-						}
-						if (resolveContext.fileDependencies) {
-							resolveContext.fileDependencies.add(descriptionFilePath);
-						}
-						let json;
-						try {
-							json = JSON.parse(content);
-						} catch (e) {
-							onJson(e);
-						}
-						onJson(null, json);
-					});
+						)
+					);
 				}
 
 				function onJson(err, content) {
@@ -110,13 +129,9 @@ function getField(content, field) {
 			}
 			current = current[field[j]];
 		}
-		if (typeof current === "object") {
-			return current;
-		}
+		return current;
 	} else {
-		if (typeof content[field] === "object") {
-			return content[field];
-		}
+		return content[field];
 	}
 }
 
@@ -5,6 +5,8 @@
 
 "use strict";
 
+const { traceFileSystemCall } = require("./traceUtils");
+
 /** @typedef {import("./Resolver")} Resolver */
 /** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
 
@@ -32,31 +34,39 @@ module.exports = class DirectoryExistsPlugin {
 					const fs = resolver.fileSystem;
 					const directory = request.path;
 					if (!directory) return callback();
-					fs.stat(directory, (err, stat) => {
-						if (err || !stat) {
-							if (resolveContext.missingDependencies)
-								resolveContext.missingDependencies.add(directory);
-							if (resolveContext.log)
-								resolveContext.log(directory + " doesn't exist");
-							return callback();
-						}
-						if (!stat.isDirectory()) {
-							if (resolveContext.missingDependencies)
-								resolveContext.missingDependencies.add(directory);
-							if (resolveContext.log)
-								resolveContext.log(directory + " is not a directory");
-							return callback();
-						}
-						if (resolveContext.fileDependencies)
-							resolveContext.fileDependencies.add(directory);
-						resolver.doResolve(
-							target,
-							request,
-							`existing directory ${directory}`,
+					fs.stat(
+						directory,
+						traceFileSystemCall(
 							resolveContext,
-							callback
-						);
-					});
+							"stat",
+							directory,
+							(err, stat) => {
+								if (err || !stat) {
+									if (resolveContext.missingDependencies)
+										resolveContext.missingDependencies.add(directory);
+									if (resolveContext.log)
+										resolveContext.log(directory + " doesn't exist");
+									return callback();
+								}
+								if (!stat.isDirectory()) {
+									if (resolveContext.missingDependencies)
+										resolveContext.missingDependencies.add(directory);
+									if (resolveContext.log)
+										resolveContext.log(directory + " is not a directory");
+									return callback();
+								}
+								if (resolveContext.fileDependencies)
+									resolveContext.fileDependencies.add(directory);
+								resolver.doResolve(
+									target,
+									request,
+									`existing directory ${directory}`,
+									resolveContext,
+									callback
+								);
+							}
+						)
+					);
 				}
 			);
 	}
@@ -0,0 +1,71 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const forEachBail = require("./forEachBail");
+
+/** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
+/** @typedef {{ alias: string|string[], extension: string }} ExtensionAliasOption */
+
+module.exports = class ExtensionAliasPlugin {
+	/**
+	 * @param {string | ResolveStepHook} source source
+	 * @param {ExtensionAliasOption} options options
+	 * @param {string | ResolveStepHook} target target
+	 */
+	constructor(source, options, target) {
+		this.source = source;
+		this.options = options;
+		this.target = target;
+	}
+
+	/**
+	 * @param {Resolver} resolver the resolver
+	 * @returns {void}
+	 */
+	apply(resolver) {
+		const target = resolver.ensureHook(this.target);
+		const { extension, alias } = this.options;
+		const aliases = Array.isArray(alias) ? alias : [alias];
+		resolver
+			.getHook(this.source)
+			.tapAsync("ExtensionAliasPlugin", (request, resolveContext, callback) => {
+				const file = request.path;
+				if (!file || !file.endsWith(extension)) return callback();
+				const base = file.slice(0, -extension.length);
+				const relativeBase =
+					request.relativePath &&
+					request.relativePath.endsWith(extension) &&
+					request.relativePath.slice(0, -extension.length);
+				forEachBail(
+					aliases,
+					(alias, callback) => {
+						const obj = {
+							...request,
+							path: base + alias,
+							relativePath: relativeBase
+								? relativeBase + alias
+								: request.relativePath
+						};
+						resolver.doResolve(
+							target,
+							obj,
+							`aliased from extension alias with mapping '${extension}' to '${alias}'`,
+							resolveContext,
+							callback
+						);
+					},
+					(err, result) => {
+						if (err) return callback(err);
+						if (result) return callback(null, result);
+						// Don't allow other extensions or the raw request
+						return callback(null, null);
+					}
+				);
+			});
+	}
+};
@@ -5,6 +5,8 @@
 
 "use strict";
 
+const { traceFileSystemCall } = require("./traceUtils");
+
 /** @typedef {import("./Resolver")} Resolver */
 /** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
 
@@ -30,29 +32,35 @@ module.exports = class FileExistsPlugin {
 			.tapAsync("FileExistsPlugin", (request, resolveContext, callback) => {
 				const file = request.path;
 				if (!file) return callback();
-				fs.stat(file, (err, stat) => {
-					if (err || !stat) {
-						if (resolveContext.missingDependencies)
-							resolveContext.missingDependencies.add(file);
-						if (resolveContext.log) resolveContext.log(file + " doesn't exist");
-						return callback();
-					}
-					if (!stat.isFile()) {
-						if (resolveContext.missingDependencies)
-							resolveContext.missingDependencies.add(file);
-						if (resolveContext.log) resolveContext.log(file + " is not a file");
-						return callback();
-					}
-					if (resolveContext.fileDependencies)
-						resolveContext.fileDependencies.add(file);
-					resolver.doResolve(
-						target,
-						request,
-						"existing file: " + file,
-						resolveContext,
-						callback
-					);
-				});
+				if (resolveContext.candidates) resolveContext.candidates.add(file);
+				fs.stat(
+					file,
+					traceFileSystemCall(resolveContext, "stat", file, (err, stat) => {
+						if (err || !stat) {
+							if (resolveContext.missingDependencies)
+								resolveContext.missingDependencies.add(file);
+							if (resolveContext.log)
+								resolveContext.log(file + " doesn't exist");
+							return callback();
+						}
+						if (!stat.isFile()) {
+							if (resolveContext.missingDependencies)
+								resolveContext.missingDependencies.add(file);
+							if (resolveContext.log)
+								resolveContext.log(file + " is not a file");
+							return callback();
+						}
+						if (resolveContext.fileDependencies)
+							resolveContext.fileDependencies.add(file);
+						resolver.doResolve(
+							target,
+							request,
+							"existing file: " + file,
+							resolveContext,
+							callback
+						);
+					})
+				);
 			});
 	}
 };
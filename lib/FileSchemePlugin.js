@@ -0,0 +1,76 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { URL } = require("url");
+
+/** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
+
+/**
+ * @param {URL} url a file url
+ * @returns {string} the path of the file
+ */
+const fileUrlToPath = url => {
+	if (url.hostname !== "" && url.hostname !== "localhost") {
+		throw new Error(`File URL host must be "localhost" or empty: ${url.href}`);
+	}
+	if (/%2f/i.test(url.pathname)) {
+		throw new Error(
+			`File URL path must not include encoded / characters: ${url.href}`
+		);
+	}
+	const path = decodeURIComponent(url.pathname);
+	// "/C:/a" is a windows path
+	return /^\/[a-zA-Z]:/.test(path) ? path.slice(1) : path;
+};
+
+module.exports = class FileSchemePlugin {
+	/**
+	 * @param {string | ResolveStepHook} target target
+	 */
+	constructor(target) {
+		this.target = target;
+	}
+
+	/**
+	 * @param {Resolver} resolver the resolver
+	 * @returns {void}
+	 */
+	apply(resolver) {
+		const target = resolver.ensureHook(this.target);
+		resolver.hooks.scheme
+			.for("file")
+			.tapAsync("FileSchemePlugin", (request, resolveContext, callback) => {
+				let path;
+				let url;
+				try {
+					url = new URL(/** @type {string} */ (request.request));
+					path = fileUrlToPath(url);
+				} catch (e) {
+					return callback(e);
+				}
+				// "#" and "?" are part of the path and must not become query or fragment
+				const newRequest =
+					path.replace(/[#?]/g, "\0$&") + url.search + url.hash;
+				const obj = {
+					...request,
+					request: newRequest
+				};
+				resolver.doResolve(
+					target,
+					obj,
+					`converted file url to path ${path}`,
+					resolveContext,
+					(err, result) => {
+						if (err) return callback(err);
+						// the path is the only way to resolve the file url
+						callback(null, result || null);
+					}
+				);
+			});
+	}
+};
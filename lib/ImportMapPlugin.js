@@ -0,0 +1,237 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { cdUp } = require("./DescriptionFileUtils");
+
+/** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").ResolveContext} ResolveContext */
+/** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
+/** @typedef {{[specifier: string]: string | null}} SpecifierMap */
+/** @typedef {{imports?: SpecifierMap, scopes?: {[scope: string]: SpecifierMap}}} ImportMap */
+/** @typedef {{key: string, address: string | null}} SpecifierMapEntry */
+/** @typedef {{prefix: string, entries: SpecifierMapEntry[]}} Scope */
+/** @typedef {{entries: SpecifierMapEntry[], scopes: Scope[]}} NormalizedImportMap */
+
+/**
+ * Resolves a url-like string against the directory of the import map.
+ * Server-relative urls are kept so they can be resolved in roots.
+ * @param {Resolver} resolver the resolver
+ * @param {string | undefined} base directory of the import map, undefined for an import map object
+ * @param {string} url url-like string
+ * @returns {string | null} absolute path, keeping a trailing slash, or null when it's not url-like
+ */
+function resolveUrlLike(resolver, base, url) {
+	if (url.startsWith("/")) return url;
+	if (url.startsWith("./") || url.startsWith("../")) {
+		if (base === undefined) {
+			throw new Error(
+				`The relative url '${url}' of the import map object can't be resolved, only import map files resolve relative urls against their directory`
+			);
+		}
+		const path = resolver.join(base, url);
+		return url.endsWith("/") && !path.endsWith("/") ? path + "/" : path;
+	}
+	return null;
+}
+
+/**
+ * @param {Resolver} resolver the resolver
+ * @param {string | undefined} base directory of the import map, undefined for an import map object
+ * @param {SpecifierMap} map specifier map
+ * @returns {SpecifierMapEntry[]} entries, longest keys first
+ */
+function normalizeSpecifierMap(resolver, base, map) {
+	return Object.keys(map)
+		.filter(key => key !== "")
+		.map(key => {
+			const value = map[key];
+			// invalid addresses block the specifier like in the spec
+			let address =
+				typeof value === "string"
+					? resolveUrlLike(resolver, base, value)
+					: null;
+			if (address !== null && key.endsWith("/") && !address.endsWith("/")) {
+				address = null;
+			}
+			return { key, address };
+		})
+		.sort((a, b) => b.key.length - a.key.length);
+}
+
+/**
+ * @param {Resolver} resolver the resolver
+ * @param {string | undefined} base directory of the import map, undefined for an import map object
+ * @param {ImportMap} importMap import map
+ * @returns {NormalizedImportMap} normalized import map
+ */
+function normalizeImportMap(resolver, base, importMap) {
+	const scopes = importMap.scopes || {};
+	return {
+		entries: normalizeSpecifierMap(resolver, base, importMap.imports || {}),
+		scopes: Object.keys(scopes)
+			.map(scope => ({
+				prefix: resolveUrlLike(resolver, base, scope),
+				entries: normalizeSpecifierMap(resolver, base, scopes[scope])
+			}))
+			.filter(scope => scope.prefix !== null)
+			.map(scope => /** @type {Scope} */ (scope))
+			.sort((a, b) => b.prefix.length - a.prefix.length)
+	};
+}
+
+/**
+ * @param {SpecifierMapEntry[]} entries entries, longest keys first
+ * @param {string} specifier bare specifier
+ * @returns {{key: string, address: string | null, rest: string} | undefined} matching entry and the part after the prefix
+ */
+function matchSpecifier(entries, specifier) {
+	for (const { key, address } of entries) {
+		if (key === specifier) return { key, address, rest: "" };
+		if (key.endsWith("/") && specifier.startsWith(key)) {
+			return { key, address, rest: specifier.slice(key.length) };
+		}
+	}
+	return undefined;
+}
+
+module.exports = class ImportMapPlugin {
+	/**
+	 * @param {string | ResolveStepHook} source source
+	 * @param {string | ImportMap} importMap import map or absolute path of an import map file
+	 * @param {string | ResolveStepHook} target target
+	 */
+	constructor(source, importMap, target) {
+		this.source = source;
+		this.importMap = importMap;
+		this.target = target;
+		/** @type {{content: string, importMap: NormalizedImportMap} | undefined} */
+		this._cache = undefined;
+	}
+
+	/**
+	 * @param {Resolver} resolver the resolver
+	 * @returns {void}
+	 */
+	apply(resolver) {
+		const target = resolver.ensureHook(this.target);
+		// an import map object has no directory, it must use absolute paths
+		if (typeof this.importMap !== "string") {
+			this._cache = {
+				content: "",
+				importMap: normalizeImportMap(resolver, undefined, this.importMap)
+			};
+		}
+		resolver
+			.getHook(this.source)
+			.tapAsync("ImportMapPlugin", (request, resolveContext, callback) => {
+				const innerRequest = request.request;
+				if (!innerRequest || !request.module || !request.path) {
+					return callback();
+				}
+				const specifier = innerRequest + (request.directory ? "/" : "");
+				const issuer = request.path + "/";
+				this._getImportMap(resolver, resolveContext, (err, importMap) => {
+					if (err) return callback(err);
+					if (!importMap) return callback();
+
+					let match;
+					for (const scope of importMap.scopes) {
+						if (
+							issuer === scope.prefix ||
+							(scope.prefix.endsWith("/") && issuer.startsWith(scope.prefix))
+						) {
+							match = matchSpecifier(scope.entries, specifier);
+							if (match) break;
+						}
+					}
+					if (!match) match = matchSpecifier(importMap.entries, specifier);
+					if (!match) return callback();
+
+					const { key, address, rest } = match;
+					if (address === null) {
+						return callback(
+							new Error(
+								`Import of '${specifier}' is blocked by the import map entry '${key}'`
+							)
+						);
+					}
+					const newRequest = address + rest;
+					if (rest && !resolver.join(address, rest).startsWith(address)) {
+						return callback(
+							new Error(
+								`Import of '${specifier}' backtracks above the prefix '${address}' of the import map entry '${key}'`
+							)
+						);
+					}
+					const obj = {
+						...request,
+						request: newRequest
+					};
+					resolver.doResolve(
+						target,
+						obj,
+						`using import map entry '${key}' to '${address}'`,
+						resolveContext,
+						(err, result) => {
+							if (err) return callback(err);
+							if (result) return callback(null, result);
+							// The import map has the final say, don't look for modules
+							return callback(null, null);
+						}
+					);
+				});
+			});
+	}
+
+	/**
+	 * @param {Resolver} resolver the resolver
+	 * @param {ResolveContext} resolveContext resolve context
+	 * @param {function((Error | null)=, NormalizedImportMap=): void} callback callback with the import map, undefined when the file doesn't exist
+	 * @returns {void}
+	 */
+	_getImportMap(resolver, resolveContext, callback) {
+		const importMap = this.importMap;
+		if (typeof importMap !== "string") {
+			return callback(
+				null,
+				/** @type {NormalizedImportMap} */ (this._cache &&
+					this._cache.importMap)
+			);
+		}
+		resolver.fileSystem.readFile(importMap, (err, buffer) => {
+			if (err || buffer === undefined) {
+				if (resolveContext.missingDependencies) {
+					resolveContext.missingDependencies.add(importMap);
+				}
+				return callback();
+			}
+			if (resolveContext.fileDependencies) {
+				resolveContext.fileDependencies.add(importMap);
+			}
+			const content = buffer.toString();
+			if (this._cache !== undefined && this._cache.content === content) {
+				return callback(null, this._cache.importMap);
+			}
+			let json;
+			try {
+				json = JSON.parse(content);
+			} catch (e) {
+				e.message = importMap + " (import map): " + e.message;
+				return callback(e);
+			}
+			this._cache = {
+				content,
+				importMap: normalizeImportMap(
+					resolver,
+					/** @type {string} */ (cdUp(importMap)),
+					json
+				)
+			};
+			callback(null, this._cache.importMap);
+		});
+	}
+};
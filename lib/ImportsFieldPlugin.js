@@ -0,0 +1,164 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const DescriptionFileUtils = require("./DescriptionFileUtils");
+const { processImportsField } = require("./entrypoints");
+const forEachBail = require("./forEachBail");
+const { checkImportsExportsFieldTarget } = require("./pathUtils");
+
+/** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").ResolveError} ResolveError */
+/** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
+/** @typedef {import("./entrypoints").FieldProcessor} FieldProcessor */
+
+module.exports = class ImportsFieldPlugin {
+	/**
+	 * @param {string | ResolveStepHook} source source
+	 * @param {Set<string>} conditionNames condition names
+	 * @param {string | string[]} fieldNamePath name path
+	 * @param {string | ResolveStepHook} targetFile target file
+	 * @param {string | ResolveStepHook} targetPackage target package
+	 */
+	constructor(
+		source,
+		conditionNames,
+		fieldNamePath,
+		targetFile,
+		targetPackage
+	) {
+		this.source = source;
+		this.targetFile = targetFile;
+		this.targetPackage = targetPackage;
+		this.conditionNames = conditionNames;
+		this.fieldName = fieldNamePath;
+		/** @type {WeakMap<any, FieldProcessor>} */
+		this.fieldProcessorCache = new WeakMap();
+	}
+
+	/**
+	 * @param {Resolver} resolver the resolver
+	 * @returns {void}
+	 */
+	apply(resolver) {
+		const targetFile = resolver.ensureHook(this.targetFile);
+		const targetPackage = resolver.ensureHook(this.targetPackage);
+		resolver
+			.getHook(this.source)
+			.tapAsync("ImportsFieldPlugin", (request, resolveContext, callback) => {
+				// When there is no description file or it's not an internal request, abort
+				if (
+					!request.internal ||
+					!request.descriptionFilePath ||
+					request.request === undefined
+				)
+					return callback();
+
+				const remainingRequest = request.request;
+				const importsField = DescriptionFileUtils.getField(
+					request.descriptionFileData,
+					this.fieldName
+				);
+				if (importsField === undefined || importsField === null)
+					return callback();
+
+				if (request.directory) {
+					return callback(
+						new Error(
+							`Resolving to directories is not possible with the imports field (request was ${remainingRequest}/)`
+						)
+					);
+				}
+
+				let paths;
+
+				try {
+					let fieldProcessor = this.fieldProcessorCache.get(
+						request.descriptionFileData
+					);
+					if (fieldProcessor === undefined) {
+						fieldProcessor = processImportsField(importsField);
+						this.fieldProcessorCache.set(
+							request.descriptionFileData,
+							fieldProcessor
+						);
+					}
+					paths = fieldProcessor(remainingRequest, this.conditionNames);
+				} catch (err) {
+					if (resolveContext.log) {
+						resolveContext.log(
+							`Imports field in ${request.descriptionFilePath} can't be processed: ${err}`
+						);
+					}
+					return callback(err);
+				}
+
+				if (paths.length === 0) {
+					/** @type {ResolveError} */
+					const error = new Error(
+						`Package import ${remainingRequest} is not imported from package ${request.descriptionFileRoot} (see imports field in ${request.descriptionFilePath})`
+					);
+					error.code = "PACKAGE_IMPORT_NOT_DEFINED";
+					return callback(error);
+				}
+
+				forEachBail(
+					paths,
+					(p, callback) => {
+						// should be relative to the package root
+						if (p.startsWith("./")) {
+							const error = checkImportsExportsFieldTarget(p);
+							if (error) return callback(error);
+
+							const obj = {
+								...request,
+								request: undefined,
+								path: resolver.join(
+									/** @type {string} */ (request.descriptionFileRoot),
+									p
+								),
+								relativePath: p,
+								internal: false,
+								fullySpecified: false
+							};
+
+							return resolver.doResolve(
+								targetFile,
+								obj,
+								"using imports field: " + p,
+								resolveContext,
+								callback
+							);
+						}
+
+						if (resolver.isModule(p) && !resolver.isPrivate(p)) {
+							// package resolving
+							const obj = {
+								...request,
+								request: p,
+								internal: false
+							};
+
+							return resolver.doResolve(
+								targetPackage,
+								obj,
+								"using imports field: " + p,
+								resolveContext,
+								callback
+							);
+						}
+
+						return callback(
+							new Error(
+								`Invalid imports field target "${p}" in ${request.descriptionFilePath}, targets must start with "./" or be a package name`
+							)
+						);
+					},
+					(err, result) => callback(err, result || null)
+				);
+			});
+	}
+};
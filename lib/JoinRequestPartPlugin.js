@@ -45,7 +45,10 @@ module.exports = class JoinRequestPartPlugin {
 						relativePath:
 							request.relativePath &&
 							resolver.join(request.relativePath, moduleName),
-						request: remainingRequest
+						request: remainingRequest,
+						// The package root is resolved via the description file
+						fullySpecified:
+							remainingRequest === "" ? false : request.fullySpecified
 					};
 					resolver.doResolve(target, obj, null, resolveContext, callback);
 				}
@@ -32,6 +32,8 @@ module.exports = class LogInfoPlugin {
 				if (request.directory) log(prefix + "Request is a directory request.");
 				if (request.query)
 					log(prefix + "Resolving request query: " + request.query);
+				if (request.fragment)
+					log(prefix + "Resolving request fragment: " + request.fragment);
 				if (request.descriptionFilePath)
 					log(
 						prefix + "Has description data from " + request.descriptionFilePath
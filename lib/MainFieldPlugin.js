@@ -71,6 +71,7 @@ module.exports = class MainFieldPlugin {
 					request: mainModule,
 					module: false,
 					directory: mainModule.endsWith("/"),
+					fullySpecified: false,
 					[alreadyTriedMainField]: request.descriptionFilePath
 				};
 				return resolver.doResolve(
@@ -6,15 +6,18 @@
 "use strict";
 
 /** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").ResolveRequest} ResolveRequest */
 /** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
 
 module.exports = class ParsePlugin {
 	/**
 	 * @param {string | ResolveStepHook} source source
+	 * @param {Partial<ResolveRequest>} requestOptions request options
 	 * @param {string | ResolveStepHook} target target
 	 */
-	constructor(source, target) {
+	constructor(source, requestOptions, target) {
 		this.source = source;
+		this.requestOptions = requestOptions;
 		this.target = target;
 	}
 
@@ -32,11 +35,56 @@ module.exports = class ParsePlugin {
 				if (request.query && !parsed.query) {
 					obj.query = request.query;
 				}
+				if (request.fragment && !parsed.fragment) {
+					obj.fragment = request.fragment;
+				}
+				// Requests which are already processed keep their options
+				if (request.fullySpecified === undefined) {
+					obj.fullySpecified = this.requestOptions.fullySpecified;
+				}
 				if (parsed && resolveContext.log) {
 					if (parsed.module) resolveContext.log("Parsed request is a module");
 					if (parsed.directory)
 						resolveContext.log("Parsed request is a directory");
 				}
+				// A "#" without a query can be part of the path or a fragment
+				// Try it as fragment first and fall back to the literal path
+				if (obj.request && !obj.query && obj.fragment) {
+					// Only the "#" is escaped, so a "?" after it is still a query
+					const literal = resolver.parse(
+						(obj.request + (obj.directory ? "/" : "")).replace(
+							/[#?\0]/g,
+							"\0$&"
+						) +
+							"\0" +
+							obj.fragment
+					);
+					const alternative = {
+						...obj,
+						request: literal.request,
+						query: literal.query,
+						fragment: literal.fragment,
+						directory: literal.directory
+					};
+					resolver.doResolve(
+						target,
+						obj,
+						null,
+						resolveContext,
+						(err, result) => {
+							if (err) return callback(err);
+							if (result) return callback(null, result);
+							resolver.doResolve(
+								target,
+								alternative,
+								null,
+								resolveContext,
+								callback
+							);
+						}
+					);
+					return;
+				}
 				resolver.doResolve(target, obj, null, resolveContext, callback);
 			});
 	}
@@ -5,16 +5,28 @@
 
 "use strict";
 
-const { AsyncSeriesBailHook, AsyncSeriesHook, SyncHook } = require("tapable");
+const {
+	AsyncSeriesBailHook,
+	AsyncSeriesHook,
+	HookMap,
+	SyncHook
+} = require("tapable");
+const ResolverProfiler = require("./ResolverProfiler");
 const createInnerContext = require("./createInnerContext");
+const getSuggestions = require("./getSuggestions");
+const parseIdentifier = require("./parseIdentifier");
 const {
 	normalize,
 	cachedJoin: join,
+	getScheme,
 	getType,
 	PathType
 } = require("./pathUtils");
+const { now, snapshotRequest } = require("./traceUtils");
 
 /** @typedef {import("./ResolverFactory").ResolveOptions} ResolveOptions */
+/** @typedef {import("./ResolverFactory").UserResolveOptions} UserResolveOptions */
+/** @typedef {import("./ResolverProfiler").Profile} Profile */
 
 /**
  * @typedef {Object} FileSystemStats
@@ -27,15 +39,21 @@ const {
  * @property {function(string, function(Error | null | undefined, Buffer | string=): void): void} readFile
  * @property {function(string, function(Error | null | undefined, Buffer | string=): void): void} readlink
  * @property {function(string, function(Error | null | undefined, FileSystemStats=): void): void} stat
+ * @property {(function(string, function(Error | null | undefined, any[]=): void): void)=} readdir
  */
 
 /**
  * @typedef {Object} ResolveRequest
  * @property {string | false} path
+ * @property {string=} contextPath path of the resolve call, which the request is relative to
  * @property {string=} request
  * @property {string=} query
+ * @property {string=} fragment
  * @property {boolean=} directory
  * @property {boolean=} module
+ * @property {boolean=} internal
+ * @property {boolean=} builtin
+ * @property {boolean=} fullySpecified
  * @property {string=} descriptionFilePath
  * @property {string=} descriptionFileRoot
  * @property {object=} descriptionFileData
@@ -56,12 +74,58 @@ const {
  * @property {WriteOnlySet<string>=} contextDependencies
  * @property {WriteOnlySet<string>=} fileDependencies files that was found on file system
  * @property {WriteOnlySet<string>=} missingDependencies dependencies that was not found on file system
+ * @property {WriteOnlySet<string>=} candidates files which were tried, in order
+ * @property {WriteOnlySet<ResolveError>=} warnings problems which don't fail the resolving, e.g. case mismatches
  * @property {Set<StackEntry>=} stack set of hooks' calls. For instance, `resolve → parsedResolve → describedResolve`,
  * @property {(function(string): void)=} log log function
+ * @property {(function(TraceEvent): void)=} trace receives structured events of the resolving
+ * @property {string=} plugin name of the plugin which is running, only set when tracing with the tracePluginNames option
+ * @property {{childTime: number}=} profileFrame time of the nested resolve steps of the running plugin, only set when profiling
+ */
+
+/**
+ * Structured event of the resolving. Events of a resolve call have the same id.
+ * "resolve" and "finish" wrap a resolve call, "enter" and "leave" wrap a hook and "fs" is a file system call.
+ * @typedef {Object} TraceEvent
+ * @property {"resolve" | "finish" | "enter" | "leave" | "fs"} type type of the event
+ * @property {number=} id id of the resolve call
+ * @property {number} time time in milliseconds
+ * @property {string=} path context path of the resolve call or path of the file system call
+ * @property {string=} request request of the resolve call
+ * @property {string=} hook name of the hook ("enter" and "leave")
+ * @property {string=} plugin name of the plugin which entered the hook ("enter")
+ * @property {string=} message message of the step ("enter")
+ * @property {Partial<ResolveRequest>=} snapshot the request which enters the hook ("enter")
+ * @property {("resolved" | "ignored" | "not found" | "error")=} outcome outcome of the resolve call or hook ("finish" and "leave")
+ * @property {(string | false)=} result resolved path ("finish" and "leave")
+ * @property {string=} error error message or code ("finish", "leave" and "fs")
+ * @property {string=} method name of the file system method ("fs")
+ * @property {number=} duration duration of the file system call in milliseconds ("fs")
+ */
+
+/**
+ * Error of a request which can't be resolved
+ * @typedef {Object} ResolveErrorProperties
+ * @property {string=} code MODULE_NOT_FOUND, PACKAGE_NOT_FOUND, PACKAGE_PATH_NOT_EXPORTED, PACKAGE_IMPORT_NOT_DEFINED, CASE_MISMATCH, RECURSION or BUILTIN_NOT_AVAILABLE
+ * @property {string=} request the request which can't be resolved
+ * @property {string=} path the path in which the request was resolved
+ * @property {string=} packageName the name of the package which wasn't found
+ * @property {string[]=} candidates files which were tried, in order
+ * @property {string[]=} suggestions similar requests which may be meant instead
+ * @property {string=} details log of the resolving
+ * @property {boolean=} recursion true, when the resolving was aborted because of recursion
  */
 
+/** @typedef {Error & ResolveErrorProperties} ResolveError */
+
 /** @typedef {AsyncSeriesBailHook<[ResolveRequest, ResolveContext], ResolveRequest | null>} ResolveStepHook */
 
+/**
+ * @typedef {Object} ResolveResult
+ * @property {string | false} path resolved path including query and fragment, or false when ignored
+ * @property {ResolveRequest=} request the resolved request
+ */
+
 /**
  * @param {string} str input string
  * @returns {string} in camel case
@@ -70,6 +134,120 @@ function toCamelCase(str) {
 	return str.replace(/-([a-z])/g, str => str.substr(1).toUpperCase());
 }
 
+// errors with these codes get the request and path of the resolve call
+const RESOLVE_ERROR_CODES = new Set([
+	"PACKAGE_PATH_NOT_EXPORTED",
+	"PACKAGE_IMPORT_NOT_DEFINED",
+	"CASE_MISMATCH",
+	"RECURSION",
+	"BUILTIN_NOT_AVAILABLE"
+]);
+
+let nextTraceId = 1;
+
+/**
+ * Passes the name of the plugin to the resolve context of its taps when tracing,
+ * including taps which are registered later
+ * @param {ResolveStepHook} hook hook
+ * @returns {void}
+ */
+function interceptPluginNames(hook) {
+	hook.intercept({
+		register: /** @type {any} */ (tap => {
+			const fn = tap.fn;
+			return {
+				...tap,
+				fn: (request, resolveContext, ...args) =>
+					fn(
+						request,
+						resolveContext.trace
+							? { ...resolveContext, plugin: tap.name }
+							: resolveContext,
+						...args
+					)
+			};
+		})
+	});
+}
+
+/** @type {WeakMap<object, number>} */
+const optionIdentities = new WeakMap();
+let nextOptionIdentity = 1;
+
+/** @type {WeakMap<object, Map<string, object>>} unsafe caches of the withOptions variants by options key */
+const variantUnsafeCaches = new WeakMap();
+
+/**
+ * Cached results depend on the options, so every variant gets its own part of the unsafe cache.
+ * @param {object | false} unsafeCache unsafe cache of the resolver
+ * @param {string} key options key of the variant
+ * @returns {object | false} unsafe cache of the variant
+ */
+function getVariantUnsafeCache(unsafeCache, key) {
+	if (!unsafeCache) return false;
+	let caches = variantUnsafeCaches.get(unsafeCache);
+	if (caches === undefined) {
+		caches = new Map();
+		variantUnsafeCaches.set(unsafeCache, caches);
+	}
+	let cache = caches.get(key);
+	if (cache === undefined) {
+		cache = {};
+		caches.set(key, cache);
+	}
+	return cache;
+}
+
+/**
+ * Serializes options, so equal options have the same key.
+ * Functions and instances like plugins are compared by identity.
+ * @param {any} value option value
+ * @returns {string} key of the value
+ */
+function getOptionsKey(value) {
+	if (value === undefined) return "undefined";
+	if (value instanceof RegExp) return `regexp:${value}`;
+	if (Array.isArray(value)) return `[${value.map(getOptionsKey).join(",")}]`;
+	if (typeof value === "object" && value !== null) {
+		const proto = Object.getPrototypeOf(value);
+		if (proto === Object.prototype || proto === null) {
+			return `{${Object.keys(value)
+				.sort()
+				.map(key => `${JSON.stringify(key)}:${getOptionsKey(value[key])}`)
+				.join(",")}}`;
+		}
+	} else if (typeof value !== "function") {
+		return JSON.stringify(value);
+	}
+	let identity = optionIdentities.get(value);
+	if (identity === undefined) {
+		identity = nextOptionIdentity++;
+		optionIdentities.set(value, identity);
+	}
+	return `identity:${identity}`;
+}
+
+/**
+ * @param {string} candidate a file which was tried
+ * @param {(string | string[])[]} modules modules option of the resolver
+ * @param {string} packageName name of the package
+ * @returns {boolean} true, when the file is in the package directory of a modules directory
+ */
+function isInPackageDirectory(candidate, modules, packageName) {
+	const normalizedCandidate = candidate.replace(/\\/g, "/");
+	return modules.some(item =>
+		(Array.isArray(item) ? item : [item]).some(directory => {
+			const packageDirectory = `${directory
+				.replace(/\\/g, "/")
+				.replace(/\/$/, "")}/${packageName}/`;
+			// names like "node_modules" are looked up in every parent directory
+			return getType(directory) === PathType.Normal
+				? normalizedCandidate.includes(`/${packageDirectory}`)
+				: normalizedCandidate.startsWith(packageDirectory);
+		})
+	);
+}
+
 class Resolver {
 	/**
 	 * @param {ResolveStepHook} hook hook
@@ -84,6 +262,7 @@ class Resolver {
 			") " +
 			(request.request || "") +
 			(request.query || "") +
+			(request.fragment || "") +
 			(request.directory ? " directory" : "") +
 			(request.module ? " module" : "")
 		);
@@ -96,6 +275,10 @@ class Resolver {
 	constructor(fileSystem, options) {
 		this.fileSystem = fileSystem;
 		this.options = options;
+		/** @type {UserResolveOptions | undefined} options this resolver was created from */
+		this.userOptions = undefined;
+		/** @type {Map<string, Resolver>} */
+		this._withOptionsCache = new Map();
 		this.hooks = {
 			/** @type {SyncHook<[ResolveStepHook, ResolveRequest], void>} */
 			resolveStep: new SyncHook(["hook", "request"], "resolveStep"),
@@ -106,9 +289,27 @@ class Resolver {
 				["request", "resolveContext"],
 				"resolve"
 			),
+			/** @type {HookMap<ResolveStepHook>} handlers for requests starting with "scheme:" */
+			scheme: new HookMap(() => {
+				const hook = new AsyncSeriesBailHook(
+					["request", "resolveContext"],
+					"scheme"
+				);
+				if (this._profiler !== undefined) this._profiler.interceptHook(hook);
+				if (options.tracePluginNames) interceptPluginNames(hook);
+				return hook;
+			}),
 			/** @type {AsyncSeriesHook<[ResolveRequest, ResolveContext], void>} */
 			result: new AsyncSeriesHook(["result", "resolveContext"], "result")
 		};
+		/** @type {ResolverProfiler | undefined} */
+		this._profiler = undefined;
+		if (options.profile) {
+			this._profiler = new ResolverProfiler();
+			this._profiler.apply(this);
+			this._profiler.interceptHook(this.hooks.resolve);
+		}
+		if (options.tracePluginNames) interceptPluginNames(this.hooks.resolve);
 	}
 
 	/**
@@ -136,10 +337,13 @@ class Resolver {
 		}
 		const hook = this.hooks[name];
 		if (!hook) {
-			return (this.hooks[name] = new AsyncSeriesBailHook(
+			const newHook = new AsyncSeriesBailHook(
 				["request", "resolveContext"],
 				name
-			));
+			);
+			if (this._profiler !== undefined) this._profiler.interceptHook(newHook);
+			if (this.options.tracePluginNames) interceptPluginNames(newHook);
+			return (this.hooks[name] = newHook);
 		}
 		return hook;
 	}
@@ -174,6 +378,50 @@ class Resolver {
 		return hook;
 	}
 
+	/**
+	 * Returns the calls and time of the hooks and plugins, accumulated over all resolvings
+	 * @returns {Profile} the profile
+	 */
+	getProfile() {
+		if (this._profiler === undefined) {
+			throw new Error(
+				"Cannot use 'getProfile' because the resolver was not created with the 'profile' option"
+			);
+		}
+		return this._profiler.getProfile();
+	}
+
+	/**
+	 * Creates a variant of this resolver with some options overridden.
+	 * The variant uses the same file system and its own part of the unsafe cache.
+	 * It's created once per equal options.
+	 * @param {Partial<UserResolveOptions>} options options which override the options of this resolver
+	 * @returns {Resolver} the resolver with the merged options
+	 */
+	withOptions(options) {
+		const key = getOptionsKey(options);
+		const cachedResolver = this._withOptionsCache.get(key);
+		if (cachedResolver !== undefined) return cachedResolver;
+		if (!this.userOptions) {
+			throw new Error(
+				"Cannot use 'withOptions' because the resolver was not created by the ResolverFactory"
+			);
+		}
+		// required lazily because the ResolverFactory requires the Resolver
+		const ResolverFactory = require("./ResolverFactory");
+		const resolver = ResolverFactory.createResolver({
+			...this.userOptions,
+			...options,
+			fileSystem: this.fileSystem,
+			// the file system is already decorated
+			useSyncFileSystemCalls: false,
+			unsafeCache: getVariantUnsafeCache(this.options.unsafeCache, key),
+			resolver: undefined
+		});
+		this._withOptionsCache.set(key, resolver);
+		return resolver;
+	}
+
 	/**
 	 * @param {object} context context information object
 	 * @param {string} path context path
@@ -201,45 +449,180 @@ class Resolver {
 		return result;
 	}
 
+	/**
+	 * @param {object} context context information object
+	 * @param {string} path context path
+	 * @param {string} request request string
+	 * @param {ResolveContext=} resolveContext resolve context
+	 * @returns {Promise<ResolveResult>} promise with the result
+	 */
+	resolvePromise(context, path, request, resolveContext = {}) {
+		return new Promise((resolve, reject) => {
+			this.resolve(
+				context,
+				path,
+				request,
+				resolveContext,
+				(err, result, req) => {
+					if (err) return reject(err);
+					if (result === undefined) return reject(new Error("No result"));
+					resolve({ path: result, request: req });
+				}
+			);
+		});
+	}
+
 	/**
 	 * @param {object} context context information object
 	 * @param {string} path context path
 	 * @param {string} request request string
 	 * @param {ResolveContext} resolveContext resolve context
-	 * @param {function(Error | null, string=, ResolveRequest=): void} callback callback function
+	 * @param {function(Error | null, (string | false)=, ResolveRequest=): void} callback callback function
 	 * @returns {void}
 	 */
 	resolve(context, path, request, resolveContext, callback) {
 		const obj = {
 			context: context,
 			path: path,
+			contextPath: path,
 			request: request
 		};
 
 		const message = `resolve '${request}' in '${path}'`;
 
+		if (resolveContext.trace) {
+			const parentTrace = resolveContext.trace;
+			const id = nextTraceId++;
+			/** @type {function(TraceEvent): void} */
+			const trace = event => parentTrace({ ...event, id });
+			const parentCallback = callback;
+			resolveContext = { ...resolveContext, trace };
+			callback = (err, result, req) => {
+				trace({
+					type: "finish",
+					time: now(),
+					outcome: err
+						? "error"
+						: result === false
+						? "ignored"
+						: result === undefined
+						? "not found"
+						: "resolved",
+					result,
+					error: err ? err.message : undefined
+				});
+				parentCallback(err, result, req);
+			};
+			trace({ type: "resolve", time: now(), path, request });
+		}
+
 		const finishResolved = result => {
 			return callback(
 				null,
-				result.path === false ? false : result.path + (result.query || ""),
+				result.path === false
+					? false
+					: result.path + (result.query || "") + (result.fragment || ""),
 				result
 			);
 		};
 
-		const finishWithoutResolve = log => {
-			/**
-			 * @type {Error & {details?: string}}
-			 */
-			const error = new Error("Can't " + message);
+		const finishWithPipelineError = err => {
+			/** @type {ResolveError} */
+			const error = err;
+			if (
+				error.code !== undefined &&
+				RESOLVE_ERROR_CODES.has(error.code) &&
+				error.request === undefined
+			) {
+				error.request = request;
+				error.path = path;
+			}
+			return callback(error);
+		};
+
+		const finishWithError = (log, candidates, hint, suggestions) => {
+			/** @type {ResolveError} */
+			const error = new Error("Can't " + message + (hint ? "\n" + hint : ""));
 			error.details = log.join("\n");
+			error.code = "MODULE_NOT_FOUND";
+			error.request = request;
+			error.path = path;
+			error.candidates = Array.from(new Set(candidates));
+			error.suggestions = suggestions || [];
+			const parsed = this.parse(request);
+			// requests with a scheme, like "data:" uris, aren't packages
+			if (
+				parsed.module &&
+				parsed.request &&
+				getScheme(parsed.request) === undefined
+			) {
+				const packageName = getSuggestions.getPackageName(parsed.request);
+				// no file was tried in a directory of the package
+				const packageFound = error.candidates.some(candidate =>
+					isInPackageDirectory(candidate, this.options.modules, packageName)
+				);
+				if (!packageFound) {
+					error.code = "PACKAGE_NOT_FOUND";
+					error.packageName = packageName;
+				}
+			}
 			this.hooks.noResolve.call(obj, error);
 			return callback(error);
 		};
 
+		const finishWithSuggestions = (log, candidates) => {
+			if (!this.options.suggestions) return finishWithError(log, candidates);
+			return getSuggestions(
+				this,
+				context,
+				path,
+				request,
+				resolveContext,
+				suggestions => {
+					if (suggestions.length === 0) {
+						return finishWithError(log, candidates, undefined, suggestions);
+					}
+					const hint =
+						suggestions.length === 1
+							? `Did you mean '${suggestions[0]}'?`
+							: `Did you mean one of ${suggestions
+									.map(suggestion => `'${suggestion}'`)
+									.join(", ")}?`;
+					return finishWithError(log, candidates, hint, suggestions);
+				}
+			);
+		};
+
+		const finishWithoutResolve = (log, candidates) => {
+			if (!this.options.fullySpecified) {
+				return finishWithSuggestions(log, candidates);
+			}
+
+			// Check if the request would be resolvable when it's not fully specified
+			// so we can tell how to fix the request
+			return this.doResolve(
+				this.hooks.resolve,
+				{ ...obj, fullySpecified: false },
+				message,
+				{ stack: resolveContext.stack },
+				(err, result) => {
+					if (err || !result || typeof result.path !== "string")
+						return finishWithSuggestions(log, candidates);
+					return finishWithError(
+						log,
+						candidates,
+						this.getFullySpecifiedHint(path, request, result.path)
+					);
+				}
+			);
+		};
+
 		if (resolveContext.log) {
 			// We need log anyway to capture it in case of an error
 			const parentLog = resolveContext.log;
+			const parentCandidates = resolveContext.candidates;
 			const log = [];
+			const candidates = [];
 			return this.doResolve(
 				this.hooks.resolve,
 				obj,
@@ -252,14 +635,22 @@ class Resolver {
 					fileDependencies: resolveContext.fileDependencies,
 					contextDependencies: resolveContext.contextDependencies,
 					missingDependencies: resolveContext.missingDependencies,
+					candidates: {
+						add: candidate => {
+							if (parentCandidates) parentCandidates.add(candidate);
+							candidates.push(candidate);
+						}
+					},
+					warnings: resolveContext.warnings,
+					trace: resolveContext.trace,
 					stack: resolveContext.stack
 				},
 				(err, result) => {
-					if (err) return callback(err);
+					if (err) return finishWithPipelineError(err);
 
 					if (result) return finishResolved(result);
 
-					return finishWithoutResolve(log);
+					return finishWithoutResolve(log, candidates);
 				}
 			);
 		} else {
@@ -274,10 +665,13 @@ class Resolver {
 					fileDependencies: resolveContext.fileDependencies,
 					contextDependencies: resolveContext.contextDependencies,
 					missingDependencies: resolveContext.missingDependencies,
+					candidates: resolveContext.candidates,
+					warnings: resolveContext.warnings,
+					trace: resolveContext.trace,
 					stack: resolveContext.stack
 				},
 				(err, result) => {
-					if (err) return callback(err);
+					if (err) return finishWithPipelineError(err);
 
 					if (result) return finishResolved(result);
 
@@ -287,6 +681,7 @@ class Resolver {
 					// is assumed by default
 
 					const log = [];
+					const candidates = [];
 
 					return this.doResolve(
 						this.hooks.resolve,
@@ -294,12 +689,13 @@ class Resolver {
 						message,
 						{
 							log: msg => log.push(msg),
+							candidates: { add: candidate => candidates.push(candidate) },
 							stack: resolveContext.stack
 						},
 						(err, result) => {
-							if (err) return callback(err);
+							if (err) return finishWithPipelineError(err);
 
-							return finishWithoutResolve(log);
+							return finishWithoutResolve(log, candidates);
 						}
 					);
 				}
@@ -307,6 +703,27 @@ class Resolver {
 		}
 	}
 
+	/**
+	 * @param {string} path context path
+	 * @param {string} request request string
+	 * @param {string} resolvedPath path the request resolves to when it's not fully specified
+	 * @returns {string} hint how to fully specify the request
+	 */
+	getFullySpecifiedHint(path, request, resolvedPath) {
+		const prefix = `The request '${request}' failed to resolve only because it was resolved as fully specified.\nThe extension and the index file of directories must be included in the request.`;
+		const parsed = this.parse(request);
+		if (parsed.request && !parsed.module) {
+			const unresolvedPath = this.join(path, parsed.request);
+			if (resolvedPath.startsWith(unresolvedPath)) {
+				const fixedRequest =
+					parsed.request +
+					resolvedPath.slice(unresolvedPath.length).replace(/\\/g, "/");
+				return `${prefix}\nDid you mean '${fixedRequest}${parsed.query}${parsed.fragment}'?`;
+			}
+		}
+		return `${prefix}\nIt would resolve to '${resolvedPath}' otherwise.`;
+	}
+
 	doResolve(hook, request, message, resolveContext, callback) {
 		const stackEntry = Resolver.createStackEntry(hook, request);
 
@@ -316,13 +733,14 @@ class Resolver {
 			if (resolveContext.stack.has(stackEntry)) {
 				/**
 				 * Prevent recursion
-				 * @type {Error & {recursion?: boolean}}
+				 * @type {ResolveError}
 				 */
 				const recursionError = new Error(
 					"Recursion in resolving\nStack:\n  " +
 						Array.from(newStack).join("\n  ")
 				);
 				recursionError.recursion = true;
+				recursionError.code = "RECURSION";
 				if (resolveContext.log)
 					resolveContext.log("abort resolving because of recursion");
 				return callback(recursionError);
@@ -334,17 +752,48 @@ class Resolver {
 		this.hooks.resolveStep.call(hook, request);
 
 		if (hook.isUsed()) {
+			const trace = resolveContext.trace;
 			const innerContext = createInnerContext(
 				{
 					log: resolveContext.log,
 					fileDependencies: resolveContext.fileDependencies,
 					contextDependencies: resolveContext.contextDependencies,
 					missingDependencies: resolveContext.missingDependencies,
+					candidates: resolveContext.candidates,
+					warnings: resolveContext.warnings,
+					trace,
+					profileFrame: resolveContext.profileFrame,
 					stack: newStack
 				},
 				message
 			);
+			if (trace) {
+				trace({
+					type: "enter",
+					time: now(),
+					hook: hook.name,
+					plugin: resolveContext.plugin,
+					message,
+					snapshot: snapshotRequest(request)
+				});
+			}
 			return hook.callAsync(request, innerContext, (err, result) => {
+				if (trace) {
+					trace({
+						type: "leave",
+						time: now(),
+						hook: hook.name,
+						outcome: err
+							? "error"
+							: !result
+							? "not found"
+							: result.path === false
+							? "ignored"
+							: "resolved",
+						result: result ? result.path : undefined,
+						error: err ? err.message : undefined
+					});
+				}
 				if (err) return callback(err);
 				if (result) return callback(null, result);
 				callback();
@@ -358,20 +807,20 @@ class Resolver {
 		const part = {
 			request: "",
 			query: "",
+			fragment: "",
 			module: false,
 			directory: false,
-			file: false
+			file: false,
+			internal: false
 		};
-		const idxQuery = identifier.indexOf("?");
-		if (idxQuery === 0) {
-			part.query = identifier;
-		} else if (idxQuery > 0) {
-			part.request = identifier.slice(0, idxQuery);
-			part.query = identifier.slice(idxQuery);
+		const parsedIdentifier = parseIdentifier(identifier);
+		if (parsedIdentifier) {
+			[part.request, part.query, part.fragment] = parsedIdentifier;
 		} else {
 			part.request = identifier;
 		}
 		if (part.request) {
+			part.internal = this.isPrivate(part.request);
 			part.module = this.isModule(part.request);
 			part.directory = this.isDirectory(part.request);
 			if (part.directory) {
@@ -385,6 +834,14 @@ class Resolver {
 		return getType(path) === PathType.Normal;
 	}
 
+	/**
+	 * @param {string} path a path
+	 * @returns {boolean} true, if the path is a package internal request (starts with "#")
+	 */
+	isPrivate(path) {
+		return path.startsWith("#");
+	}
+
 	/**
 	 * @param {string} path a path
 	 * @returns {boolean} true, if the path is a directory path
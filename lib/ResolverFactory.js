@@ -5,6 +5,7 @@
 
 "use strict";
 
+const path = require("path");
 const Resolver = require("./Resolver");
 const { getType, PathType } = require("./pathUtils");
 
@@ -13,10 +14,19 @@ const SyncAsyncFileSystemDecorator = require("./SyncAsyncFileSystemDecorator");
 const AliasFieldPlugin = require("./AliasFieldPlugin");
 const AliasPlugin = require("./AliasPlugin");
 const AppendPlugin = require("./AppendPlugin");
+const BuiltinModulesPlugin = require("./BuiltinModulesPlugin");
+const CaseSensitivePlugin = require("./CaseSensitivePlugin");
+const ConditionalPlugin = require("./ConditionalPlugin");
+const DataSchemePlugin = require("./DataSchemePlugin");
 const DescriptionFilePlugin = require("./DescriptionFilePlugin");
 const DirectoryExistsPlugin = require("./DirectoryExistsPlugin");
+const ExportsFieldPlugin = require("./ExportsFieldPlugin");
+const ExtensionAliasPlugin = require("./ExtensionAliasPlugin");
 const FileExistsPlugin = require("./FileExistsPlugin");
 const FileKindPlugin = require("./FileKindPlugin");
+const FileSchemePlugin = require("./FileSchemePlugin");
+const ImportMapPlugin = require("./ImportMapPlugin");
+const ImportsFieldPlugin = require("./ImportsFieldPlugin");
 const JoinRequestPartPlugin = require("./JoinRequestPartPlugin");
 const JoinRequestPlugin = require("./JoinRequestPlugin");
 const MainFieldPlugin = require("./MainFieldPlugin");
@@ -26,40 +36,70 @@ const ModulesInRootPlugin = require("./ModulesInRootPlugin");
 const NextPlugin = require("./NextPlugin");
 const ParsePlugin = require("./ParsePlugin");
 const PnpPlugin = require("./PnpPlugin");
+const RestrictionsPlugin = require("./RestrictionsPlugin");
 const ResultPlugin = require("./ResultPlugin");
+const RootsPlugin = require("./RootsPlugin");
+const SchemePlugin = require("./SchemePlugin");
+const SelfReferencePlugin = require("./SelfReferencePlugin");
 const SymlinkPlugin = require("./SymlinkPlugin");
 const TryNextPlugin = require("./TryNextPlugin");
+const TsconfigPathsPlugin = require("./TsconfigPathsPlugin");
 const UnsafeCachePlugin = require("./UnsafeCachePlugin");
 const UseFilePlugin = require("./UseFilePlugin");
 
+/** @typedef {import("./AliasPlugin").AliasFunction} AliasFunction */
+/** @typedef {import("./BuiltinModulesPlugin").BuiltinsMode} BuiltinsMode */
+/** @typedef {import("./ExtensionAliasPlugin").ExtensionAliasOption} ExtensionAliasOption */
+/** @typedef {import("./ImportMapPlugin").ImportMap} ImportMap */
 /** @typedef {import("./PnpPlugin").PnpApiImpl} PnpApi */
 /** @typedef {import("./Resolver").FileSystem} FileSystem */
 /** @typedef {import("./Resolver").ResolveRequest} ResolveRequest */
+/** @typedef {import("./TsconfigPathsPlugin").TsconfigOptions} TsconfigOptions */
 
-/** @typedef {string|string[]|false} AliasOptionNewRequest */
-/** @typedef {{alias: AliasOptionNewRequest, name: string, onlyModule?: boolean}} AliasOptionEntry */
+/** @typedef {string|string[]|false|AliasFunction} AliasOptionNewRequest */
+/** @typedef {{alias: AliasOptionNewRequest, name: string|RegExp, onlyModule?: boolean}} AliasOptionEntry */
 /** @typedef {{[k: string]: AliasOptionNewRequest}} AliasOptions */
+/** @typedef {{[k: string]: string|string[]}} ExtensionAliasOptions */
 /** @typedef {{apply: function(Resolver): void} | function(Resolver): void} Plugin */
 
 /**
  * @typedef {Object} UserResolveOptions
  * @property {(AliasOptions | AliasOptionEntry[])=} alias A list of module alias configurations or an object which maps key to value
  * @property {(string | string[])[]=} aliasFields A list of alias fields in description files
+ * @property {string[]=} builtinModules A list of builtin module names, defaults to the builtin modules of Node.js
+ * @property {BuiltinsMode=} builtins How builtin modules are handled: "external" resolves them to themselves, "error" fails when no module or fallback is found, "resolve" resolves them like other modules
+ * @property {{[dependencyType: string]: Partial<UserResolveOptions>}=} byDependency Options which override the other options for a dependency type
  * @property {(function(ResolveRequest): boolean)=} cachePredicate A function which decides whether a request should be cached or not. An object is passed with at least `path` and `request` properties.
  * @property {boolean=} cacheWithContext Whether or not the unsafeCache should include request context as part of the cache key.
+ * @property {(false | "enforce" | "warn")=} caseSensitive Compare the resolved path with the directory listings, "enforce" fails and "warn" adds a warning to the resolve context on a case mismatch
+ * @property {string[]=} conditionNames A list of exports and imports field condition names.
  * @property {string[]=} descriptionFiles A list of description files to read from
  * @property {boolean=} enforceExtension Enforce that a extension from extensions must be used
+ * @property {(string | string[])[]=} exportsFields A list of exports fields in description files
+ * @property {ExtensionAliasOptions=} extensionAlias An object which maps extension to extension aliases
  * @property {string[]=} extensions A list of extensions which should be tried for files
+ * @property {(AliasOptions | AliasOptionEntry[])=} fallback A list of module alias configurations or an object which maps key to value, applied only after modules failed to resolve
  * @property {FileSystem} fileSystem The file system which should be used
+ * @property {boolean=} fullySpecified The request is already fully specified and no extensions or directories are resolved for it
+ * @property {(string | ImportMap)=} importMap An import map with "imports" and "scopes" and absolute urls, or the path of an import map file whose relative urls are resolved against its directory
+ * @property {(string | string[])[]=} importsFields A list of imports fields in description files
  * @property {(Object | boolean)=} unsafeCache Use this cache object to unsafely cache the successful requests
  * @property {boolean=} symlinks Resolve symlinks to their symlinked location
+ * @property {boolean=} suggestions Suggest similar files and packages in the error when a request can't be resolved, which reads the directories of the request
  * @property {Resolver=} resolver A prepared Resolver to which the plugins are attached
  * @property {string[] | string=} modules A list of directories to resolve modules from, can be absolute path or folder name
  * @property {(string | string[] | {name: string | string[], forceRelative: boolean})[]=} mainFields A list of main fields in description files
  * @property {string[]=} mainFiles  A list of main files in directories
  * @property {Plugin[]=} plugins A list of additional resolve plugins which should be applied
  * @property {PnpApi | null=} pnpApi A PnP API that should be used - null is "never", undefined is "auto"
+ * @property {string[]=} roots A list of root paths
+ * @property {boolean=} profile Accumulate the calls and time of the hooks and plugins, see `resolver.getProfile()`
+ * @property {boolean=} tracePluginNames Report the plugin which produced each step in `resolveContext.trace`
+ * @property {boolean=} preferRelative Prefer to resolve module requests as relative requests before falling back to modules
+ * @property {boolean=} preferAbsolute Prefer to resolve server-relative urls as absolute paths before falling back to resolve in roots
  * @property {boolean=} resolveToContext Resolve to a context instead of a file
+ * @property {(string | RegExp)[]=} restrictions A list of resolve restrictions
+ * @property {(boolean | string | Partial<TsconfigOptions>)=} tsconfig Apply "baseUrl" and "paths" of a tsconfig file, true uses "tsconfig.json" in the current working directory
  * @property {boolean=} useSyncFileSystemCalls Use only the sync constiants of the file system calls
  */
 
@@ -67,23 +107,45 @@ const UseFilePlugin = require("./UseFilePlugin");
  * @typedef {Object} ResolveOptions
  * @property {AliasOptionEntry[]} alias
  * @property {string[][]} aliasFields
+ * @property {Set<string>} builtinModules
+ * @property {BuiltinsMode} builtins
  * @property {(function(ResolveRequest): boolean)} cachePredicate
  * @property {boolean} cacheWithContext
+ * @property {false | "enforce" | "warn"} caseSensitive
+ * @property {Set<string>} conditionNames
  * @property {string[]} descriptionFiles
  * @property {boolean} enforceExtension
+ * @property {string[][]} exportsFields
+ * @property {ExtensionAliasOption[]} extensionAlias
  * @property {string[]} extensions
+ * @property {AliasOptionEntry[]} fallback
  * @property {FileSystem} fileSystem
+ * @property {boolean} fullySpecified
+ * @property {string | ImportMap | false} importMap
+ * @property {string[][]} importsFields
  * @property {Object | false} unsafeCache
  * @property {boolean} symlinks
+ * @property {boolean} suggestions
  * @property {Resolver=} resolver
  * @property {(string | string[])[]} modules
  * @property {{name: string[], forceRelative: boolean}[]} mainFields
  * @property {string[]} mainFiles
  * @property {Plugin[]} plugins
  * @property {PnpApi | null} pnpApi
+ * @property {string[]} roots
+ * @property {boolean} profile
+ * @property {boolean} tracePluginNames
+ * @property {boolean} preferRelative
+ * @property {boolean} preferAbsolute
  * @property {boolean} resolveToContext
+ * @property {(string | RegExp)[]} restrictions
+ * @property {TsconfigOptions | false} tsconfig
  */
 
+// not available before Node.js 9.3
+// eslint-disable-next-line node/no-unsupported-features/node-builtins
+const nodeBuiltinModules = require("module").builtinModules || [];
+
 /**
  * @param {PnpApi | null=} option option
  * @returns {PnpApi | null} processed option
@@ -100,21 +162,59 @@ function processPnpApiOption(option) {
 	return option || null;
 }
 
+/**
+ * @param {(boolean | string | Partial<TsconfigOptions>)=} tsconfig tsconfig option
+ * @returns {TsconfigOptions | false} normalized tsconfig option
+ */
+function normalizeTsconfig(tsconfig) {
+	if (!tsconfig) return false;
+	if (tsconfig === true) tsconfig = {};
+	if (typeof tsconfig === "string") tsconfig = { configFile: tsconfig };
+	return {
+		configFile: path.resolve(tsconfig.configFile || "tsconfig.json"),
+		references: tsconfig.references || "auto"
+	};
+}
+
+/**
+ * @param {(AliasOptions | AliasOptionEntry[])=} alias alias option
+ * @returns {AliasOptionEntry[]} normalized alias entries
+ */
+function normalizeAlias(alias) {
+	return typeof alias === "object" && !Array.isArray(alias) && alias !== null
+		? aliasOptionsToArray(alias)
+		: /** @type {Array<AliasOptionEntry>} */ (alias) || [];
+}
+
 /**
  * @param {UserResolveOptions} options input options
+ * @param {string=} dependencyType type of the dependency, selects the overrides from "byDependency"
+ * @returns {UserResolveOptions} options with the overrides for the dependency type applied
+ */
+function mergeByDependency(options, dependencyType) {
+	const { byDependency, ...baseOptions } = options;
+	if (dependencyType === undefined || !byDependency) return baseOptions;
+	const overrides = byDependency[dependencyType];
+	if (!overrides) return baseOptions;
+	// overrides can't be nested
+	const { byDependency: nested, ...flatOverrides } = overrides;
+	return { ...baseOptions, ...flatOverrides };
+}
+
+/**
+ * @param {UserResolveOptions} userOptions input options
+ * @param {string=} dependencyType type of the dependency, selects the overrides from "byDependency"
  * @returns {ResolveOptions} output options
  */
-function createOptions(options) {
+function createOptions(userOptions, dependencyType) {
+	const options = mergeByDependency(userOptions, dependencyType);
 	return {
-		alias:
-			typeof options.alias === "object" &&
-			!Array.isArray(options.alias) &&
-			options.alias !== null
-				? aliasOptionsToArray(options.alias)
-				: /** @type {Array<AliasOptionEntry>} */ (options.alias) || [],
+		alias: normalizeAlias(options.alias),
 		aliasFields: (options.aliasFields || []).map(item =>
 			Array.isArray(item) ? item : [item]
 		),
+		builtinModules: new Set(options.builtinModules || nodeBuiltinModules),
+		builtins: options.builtins || "resolve",
 		cachePredicate:
 			options.cachePredicate ||
 			function() {
@@ -124,19 +224,37 @@ function createOptions(options) {
 			typeof options.cacheWithContext !== "undefined"
 				? options.cacheWithContext
 				: true,
+		caseSensitive: options.caseSensitive || false,
+		conditionNames: new Set(options.conditionNames),
 		descriptionFiles: options.descriptionFiles || ["package.json"],
 		enforceExtension: options.enforceExtension || false,
+		exportsFields: (options.exportsFields || ["exports"]).map(item =>
+			Array.isArray(item) ? item : [item]
+		),
+		extensionAlias: Object.entries(options.extensionAlias || {}).map(
+			([extension, alias]) => ({ extension, alias })
+		),
 		extensions: options.extensions
 			? /** @type {string[]} */ ([]).concat(options.extensions)
 			: [".js", ".json", ".node"],
+		fallback: normalizeAlias(options.fallback),
 		fileSystem: options.useSyncFileSystemCalls
 			? new SyncAsyncFileSystemDecorator(options.fileSystem)
 			: options.fileSystem,
+		fullySpecified: options.fullySpecified || false,
+		importMap:
+			typeof options.importMap === "string"
+				? path.resolve(options.importMap)
+				: options.importMap || false,
+		importsFields: (options.importsFields || ["imports"]).map(item =>
+			Array.isArray(item) ? item : [item]
+		),
 		unsafeCache:
 			options.unsafeCache && typeof options.unsafeCache !== "object"
 				? {}
 				: options.unsafeCache || false,
 		symlinks: typeof options.symlinks !== "undefined" ? options.symlinks : true,
+		suggestions: options.suggestions || false,
 		resolver: options.resolver,
 		modules: mergeFilteredToArray(
 			Array.isArray(options.modules)
@@ -170,33 +288,56 @@ function createOptions(options) {
 		mainFiles: options.mainFiles || ["index"],
 		plugins: options.plugins || [],
 		pnpApi: processPnpApiOption(options.pnpApi),
-		resolveToContext: options.resolveToContext || false
+		roots: options.roots || [],
+		profile: options.profile || false,
+		tracePluginNames: options.tracePluginNames || false,
+		preferRelative: options.preferRelative || false,
+		preferAbsolute: options.preferAbsolute || false,
+		resolveToContext: options.resolveToContext || false,
+		restrictions: options.restrictions || [],
+		tsconfig: normalizeTsconfig(options.tsconfig)
 	};
 }
 
 /**
  * @param {UserResolveOptions} options resolve options
+ * @param {string=} dependencyType type of the dependency, selects the overrides from "byDependency"
  * @returns {Resolver} created resolver
  */
-exports.createResolver = function(options) {
-	const normalizedOptions = createOptions(options);
+exports.createResolver = function(options, dependencyType) {
+	const normalizedOptions = createOptions(options, dependencyType);
 
 	const {
 		alias,
 		aliasFields,
+		builtinModules,
+		builtins,
 		cachePredicate,
 		cacheWithContext,
+		caseSensitive,
+		conditionNames,
 		descriptionFiles,
 		enforceExtension,
+		exportsFields,
+		extensionAlias,
 		extensions,
+		fallback,
 		fileSystem,
+		fullySpecified,
+		importMap,
+		importsFields,
 		mainFields,
 		mainFiles,
 		modules,
 		plugins: userPlugins,
 		pnpApi,
+		preferAbsolute,
+		preferRelative,
 		resolveToContext,
+		restrictions,
+		roots,
 		symlinks,
+		tsconfig,
 		unsafeCache,
 		resolver: customResolver
 	} = normalizedOptions;
@@ -206,6 +347,7 @@ exports.createResolver = function(options) {
 	const resolver = customResolver
 		? customResolver
 		: new Resolver(fileSystem, normalizedOptions);
+	resolver.userOptions = mergeByDependency(options, dependencyType);
 
 	//// pipeline ////
 
@@ -213,8 +355,11 @@ exports.createResolver = function(options) {
 	resolver.ensureHook("parsedResolve");
 	resolver.ensureHook("describedResolve");
 	resolver.ensureHook("rawModule");
+	resolver.ensureHook("fallback");
 	resolver.ensureHook("module");
 	resolver.ensureHook("resolveInDirectory");
+	resolver.ensureHook("undescribedResolveInPackage");
+	resolver.ensureHook("resolveInPackage");
 	resolver.ensureHook("resolveInExistingDirectory");
 	resolver.ensureHook("relative");
 	resolver.ensureHook("describedRelative");
@@ -228,6 +373,9 @@ exports.createResolver = function(options) {
 	resolver.ensureHook("resolved");
 
 	// resolve
+	plugins.push(new SchemePlugin("resolve"));
+	plugins.push(new FileSchemePlugin("resolve"));
+	plugins.push(new DataSchemePlugin("resolved"));
 	if (unsafeCache) {
 		plugins.push(
 			new UnsafeCachePlugin(
@@ -238,12 +386,19 @@ exports.createResolver = function(options) {
 				"new-resolve"
 			)
 		);
-		plugins.push(new ParsePlugin("new-resolve", "parsed-resolve"));
+		plugins.push(
+			new ParsePlugin("new-resolve", { fullySpecified }, "parsed-resolve")
+		);
 	} else {
-		plugins.push(new ParsePlugin("resolve", "parsed-resolve"));
+		plugins.push(
+			new ParsePlugin("resolve", { fullySpecified }, "parsed-resolve")
+		);
 	}
 
 	// parsed-resolve
+	if (importMap) {
+		plugins.push(new ImportMapPlugin("parsed-resolve", importMap, "resolve"));
+	}
 	plugins.push(
 		new DescriptionFilePlugin(
 			"parsed-resolve",
@@ -260,10 +415,52 @@ exports.createResolver = function(options) {
 	aliasFields.forEach(item => {
 		plugins.push(new AliasFieldPlugin("described-resolve", item, "resolve"));
 	});
+	importsFields.forEach(item => {
+		plugins.push(
+			new ImportsFieldPlugin(
+				"described-resolve",
+				conditionNames,
+				item,
+				"relative",
+				"resolve"
+			)
+		);
+	});
+	if (tsconfig) {
+		plugins.push(
+			new TsconfigPathsPlugin("described-resolve", tsconfig, "resolve")
+		);
+	}
+	if (preferRelative) {
+		plugins.push(new JoinRequestPlugin("after-described-resolve", "relative"));
+	}
 	plugins.push(new ModuleKindPlugin("after-described-resolve", "raw-module"));
-	plugins.push(new JoinRequestPlugin("after-described-resolve", "relative"));
+	if (preferAbsolute) {
+		plugins.push(new JoinRequestPlugin("after-described-resolve", "relative"));
+	}
+	if (roots.length > 0) {
+		plugins.push(new RootsPlugin("after-described-resolve", roots, "relative"));
+	}
+	if (!preferRelative && !preferAbsolute) {
+		plugins.push(new JoinRequestPlugin("after-described-resolve", "relative"));
+	}
 
-	// module
+	// raw-module
+	if (builtins === "external") {
+		plugins.push(
+			new BuiltinModulesPlugin(
+				"raw-module",
+				builtinModules,
+				builtins,
+				"resolved"
+			)
+		);
+	}
+	exportsFields.forEach(item => {
+		plugins.push(
+			new SelfReferencePlugin("raw-module", item, "resolve-in-package")
+		);
+	});
 	if (pnpApi) {
 		plugins.push(new PnpPlugin("raw-module", pnpApi, "relative"));
 	}
@@ -274,6 +471,23 @@ exports.createResolver = function(options) {
 			);
 		else plugins.push(new ModulesInRootPlugin("raw-module", item, "module"));
 	});
+	if (fallback.length > 0)
+		plugins.push(new NextPlugin("after-raw-module", "fallback"));
+	if (builtins === "error") {
+		// installed polyfills and the fallback are tried before
+		plugins.push(
+			new BuiltinModulesPlugin(
+				"after-raw-module",
+				builtinModules,
+				builtins,
+				"resolved"
+			)
+		);
+	}
+
+	// fallback
+	if (fallback.length > 0)
+		plugins.push(new AliasPlugin("fallback", fallback, "resolve"));
 
 	// module
 	plugins.push(new JoinRequestPartPlugin("module", "resolve-in-directory"));
@@ -291,9 +505,37 @@ exports.createResolver = function(options) {
 	plugins.push(
 		new DirectoryExistsPlugin(
 			"resolve-in-directory",
-			"resolve-in-existing-directory"
+			"undescribed-resolve-in-package"
+		)
+	);
+
+	// undescribed-resolve-in-package
+	plugins.push(
+		new DescriptionFilePlugin(
+			"undescribed-resolve-in-package",
+			descriptionFiles,
+			false,
+			"resolve-in-package"
 		)
 	);
+	plugins.push(
+		new NextPlugin("after-undescribed-resolve-in-package", "resolve-in-package")
+	);
+
+	// resolve-in-package
+	exportsFields.forEach(item => {
+		plugins.push(
+			new ExportsFieldPlugin(
+				"resolve-in-package",
+				conditionNames,
+				item,
+				"relative"
+			)
+		);
+	});
+	plugins.push(
+		new NextPlugin("resolve-in-package", "resolve-in-existing-directory")
+	);
 
 	// resolve-in-existing-directory
 	plugins.push(
@@ -315,15 +557,36 @@ exports.createResolver = function(options) {
 	if (!resolveToContext) {
 		plugins.push(new FileKindPlugin("described-relative", null, "raw-file"));
 	}
-	plugins.push(
-		new TryNextPlugin("described-relative", "as directory", "directory")
-	);
+	if (resolveToContext) {
+		plugins.push(
+			new TryNextPlugin("described-relative", "as directory", "directory")
+		);
+	} else {
+		plugins.push(
+			new ConditionalPlugin(
+				"described-relative",
+				{ fullySpecified: false },
+				"as directory",
+				true,
+				"directory"
+			)
+		);
+	}
 
 	// directory
 	plugins.push(
 		new DirectoryExistsPlugin("directory", "undescribed-existing-directory")
 	);
 
+	// undescribed-existing-directory
+	if (caseSensitive)
+		plugins.push(
+			new CaseSensitivePlugin(
+				"before-undescribed-existing-directory",
+				caseSensitive
+			)
+		);
+
 	if (resolveToContext) {
 		// undescribed-existing-directory
 		plugins.push(new NextPlugin("undescribed-existing-directory", "resolved"));
@@ -375,6 +638,18 @@ exports.createResolver = function(options) {
 		plugins.push(new NextPlugin("after-undescribed-raw-file", "raw-file"));
 
 		// raw-file
+		extensionAlias.forEach(item => {
+			plugins.push(new ExtensionAliasPlugin("raw-file", item, "file"));
+		});
+		plugins.push(
+			new ConditionalPlugin(
+				"raw-file",
+				{ fullySpecified: true },
+				null,
+				false,
+				"file"
+			)
+		);
 		if (!enforceExtension) {
 			plugins.push(new TryNextPlugin("raw-file", "no extension", "file"));
 		}
@@ -391,12 +666,19 @@ exports.createResolver = function(options) {
 		plugins.push(new FileExistsPlugin("file", "existing-file"));
 
 		// existing-file
+		if (caseSensitive)
+			plugins.push(
+				new CaseSensitivePlugin("before-existing-file", caseSensitive)
+			);
 		if (symlinks)
 			plugins.push(new SymlinkPlugin("existing-file", "existing-file"));
 		plugins.push(new NextPlugin("existing-file", "resolved"));
 	}
 
 	// resolved
+	if (restrictions.length > 0) {
+		plugins.push(new RestrictionsPlugin(resolver.hooks.resolved, restrictions));
+	}
 	plugins.push(new ResultPlugin(resolver.hooks.resolved));
 
 	//// RESOLVER ////
@@ -412,6 +694,31 @@ exports.createResolver = function(options) {
 	return resolver;
 };
 
+/**
+ * Creates resolvers for different dependency types from the same options.
+ * All resolvers use the same file system, so its cache is shared.
+ * @param {UserResolveOptions} options resolve options with "byDependency" overrides
+ * @returns {function(string=): Resolver} returns the resolver for a dependency type, it's created once per type
+ */
+exports.createResolvers = function(options) {
+	const byDependency = options.byDependency || {};
+	/** @type {Map<string | undefined, Resolver>} */
+	const resolvers = new Map();
+	return dependencyType => {
+		// types without overrides share the default resolver
+		const key =
+			dependencyType !== undefined && byDependency[dependencyType]
+				? dependencyType
+				: undefined;
+		let resolver = resolvers.get(key);
+		if (resolver === undefined) {
+			resolver = exports.createResolver(options, key);
+			resolvers.set(key, resolver);
+		}
+		return resolver;
+	};
+};
+
 /**
  * @param {AliasOptions} alias alias
  * @returns {Array<AliasOptionEntry>} array of entries
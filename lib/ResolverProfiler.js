@@ -0,0 +1,159 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { now } = require("./traceUtils");
+
+/** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").ResolveContext} ResolveContext */
+/** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
+
+/**
+ * @typedef {Object} ProfileEntry
+ * @property {string} name name of the hook or plugin
+ * @property {number} calls number of calls
+ * @property {number} time time in milliseconds until the callback was called, including nested resolve steps
+ * @property {number} selfTime time in milliseconds without nested resolve steps
+ */
+
+/**
+ * @typedef {Object} Profile
+ * @property {ProfileEntry[]} hooks entries of the hooks, most self time first
+ * @property {ProfileEntry[]} plugins entries of the plugins, most self time first
+ */
+
+/**
+ * @param {Map<string, ProfileEntry>} entries entries by name
+ * @param {string} name name of the hook or plugin
+ * @returns {ProfileEntry} the entry
+ */
+function getEntry(entries, name) {
+	let entry = entries.get(name);
+	if (entry === undefined) {
+		entry = { name, calls: 0, time: 0, selfTime: 0 };
+		entries.set(name, entry);
+	}
+	return entry;
+}
+
+/**
+ * @param {Map<string, ProfileEntry>} entries entries by name
+ * @returns {ProfileEntry[]} copies of the entries, most self time first
+ */
+function sortEntries(entries) {
+	return Array.from(entries.values(), entry => ({ ...entry })).sort(
+		(a, b) => b.selfTime - a.selfTime
+	);
+}
+
+/**
+ * Accumulates the calls of the hooks and the time of the tapped plugins.
+ * The time of a plugin lasts until it calls the callback, so it includes the
+ * nested resolve steps. They are subtracted from the self time.
+ */
+module.exports = class ResolverProfiler {
+	constructor() {
+		/** @type {Map<string, ProfileEntry>} */
+		this._hooks = new Map();
+		/** @type {Map<string, ProfileEntry>} */
+		this._plugins = new Map();
+	}
+
+	/**
+	 * @param {Resolver} resolver the resolver
+	 * @returns {void}
+	 */
+	apply(resolver) {
+		resolver.hooks.resolveStep.tap("ResolverProfiler", hook => {
+			getEntry(this._hooks, /** @type {string} */ (hook.name)).calls++;
+		});
+	}
+
+	/**
+	 * Measures the taps of the hook, including taps which are registered later
+	 * @param {ResolveStepHook} hook hook
+	 * @returns {void}
+	 */
+	interceptHook(hook) {
+		hook.intercept({
+			register: /** @type {any} */ (tap => {
+				const fn = tap.fn;
+				const measure = (resolveContext, call) => {
+					const parentFrame = resolveContext.profileFrame;
+					const frame = { childTime: 0 };
+					const start = now();
+					return call({ ...resolveContext, profileFrame: frame }, () => {
+						const time = now() - start;
+						const selfTime = time - frame.childTime;
+						if (parentFrame) parentFrame.childTime += time;
+						const hookEntry = getEntry(
+							this._hooks,
+							/** @type {string} */ (hook.name)
+						);
+						hookEntry.time += time;
+						hookEntry.selfTime += selfTime;
+						const pluginEntry = getEntry(this._plugins, tap.name);
+						pluginEntry.calls++;
+						pluginEntry.time += time;
+						pluginEntry.selfTime += selfTime;
+					});
+				};
+				switch (tap.type) {
+					case "async":
+						return {
+							...tap,
+							fn: (request, resolveContext, callback) =>
+								measure(resolveContext, (innerContext, done) =>
+									fn(request, innerContext, (err, result) => {
+										done();
+										callback(err, result);
+									})
+								)
+						};
+					case "promise":
+						return {
+							...tap,
+							fn: (request, resolveContext) =>
+								measure(resolveContext, (innerContext, done) =>
+									fn(request, innerContext).then(
+										result => {
+											done();
+											return result;
+										},
+										err => {
+											done();
+											throw err;
+										}
+									)
+								)
+						};
+					default:
+						return {
+							...tap,
+							fn: (request, resolveContext) =>
+								measure(resolveContext, (innerContext, done) => {
+									try {
+										return fn(request, innerContext);
+									} finally {
+										done();
+									}
+								})
+						};
+				}
+			})
+		});
+	}
+
+	/**
+	 * @returns {Profile} the accumulated profile
+	 */
+	getProfile() {
+		return {
+			hooks: sortEntries(this._hooks),
+			plugins: sortEntries(this._plugins)
+		};
+	}
+};
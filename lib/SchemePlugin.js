@@ -0,0 +1,42 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { getScheme } = require("./pathUtils");
+
+/** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
+
+module.exports = class SchemePlugin {
+	/**
+	 * @param {string | ResolveStepHook} source source
+	 */
+	constructor(source) {
+		this.source = source;
+	}
+
+	/**
+	 * @param {Resolver} resolver the resolver
+	 * @returns {void}
+	 */
+	apply(resolver) {
+		resolver
+			.getHook(this.source)
+			.tapAsync("SchemePlugin", (request, resolveContext, callback) => {
+				const innerRequest = request.request;
+				if (!innerRequest) return callback();
+				const scheme = getScheme(innerRequest);
+				if (scheme === undefined) return callback();
+				const hook = resolver.hooks.scheme.get(scheme);
+				// unknown schemes are resolved like before
+				if (hook === undefined) return callback();
+				if (resolveContext.log) {
+					resolveContext.log(`using the handler of the scheme '${scheme}'`);
+				}
+				hook.callAsync(request, resolveContext, callback);
+			});
+	}
+};
@@ -8,6 +8,7 @@
 const forEachBail = require("./forEachBail");
 const getPaths = require("./getPaths");
 const { getType, PathType } = require("./pathUtils");
+const { traceFileSystemCall } = require("./traceUtils");
 
 /** @typedef {import("./Resolver")} Resolver */
 /** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
@@ -45,21 +46,29 @@ module.exports = class SymlinkPlugin {
 						idx++;
 						if (resolveContext.fileDependencies)
 							resolveContext.fileDependencies.add(path);
-						fs.readlink(path, (err, result) => {
-							if (!err && result) {
-								pathSeqments[idx] = result;
-								containsSymlink = true;
-								// Shortcut when absolute symlink found
-								const resultType = getType(result.toString());
-								if (
-									resultType === PathType.AbsoluteWin ||
-									resultType === PathType.AbsolutePosix
-								) {
-									return callback(null, idx);
+						fs.readlink(
+							path,
+							traceFileSystemCall(
+								resolveContext,
+								"readlink",
+								path,
+								(err, result) => {
+									if (!err && result) {
+										pathSeqments[idx] = result;
+										containsSymlink = true;
+										// Shortcut when absolute symlink found
+										const resultType = getType(result.toString());
+										if (
+											resultType === PathType.AbsoluteWin ||
+											resultType === PathType.AbsolutePosix
+										) {
+											return callback(null, idx);
+										}
+									}
+									callback();
 								}
-							}
-							callback();
-						});
+							)
+						);
 					},
 					(err, idx) => {
 						if (!containsSymlink) return callback();
@@ -0,0 +1,435 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { cdUp } = require("./DescriptionFileUtils");
+const forEachBail = require("./forEachBail");
+const { getType, PathType } = require("./pathUtils");
+
+/** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").ResolveContext} ResolveContext */
+/** @typedef {import("./Resolver").ResolveRequest} ResolveRequest */
+/** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
+/** @typedef {{configFile: string, references: string[] | "auto"}} TsconfigOptions */
+
+/**
+ * @typedef {Object} TsconfigPaths
+ * @property {string | undefined} baseUrl absolute path of the base url
+ * @property {{[key: string]: string[]} | undefined} paths path mappings
+ * @property {string} pathsBase directory of the tsconfig which contains the path mappings
+ */
+
+// strings are kept, comments are removed
+const COMMENTS_REGEXP = /"(?:\\.|[^"\\])*"|\/\/[^\n]*|\/\*[\s\S]*?\*\//g;
+// strings are kept, trailing commas are removed
+const TRAILING_COMMAS_REGEXP = /"(?:\\.|[^"\\])*"|,(?=\s*[}\]])/g;
+
+/**
+ * @param {string} match matched string, comment or comma
+ * @returns {string} the string or nothing
+ */
+const keepStrings = match => (match[0] === '"' ? match : "");
+
+/**
+ * Comments are removed first, so trailing commas followed by a comment are removed too
+ * @param {string} content json with comments and trailing commas
+ * @returns {any} parsed json
+ */
+function parseJsonc(content) {
+	return JSON.parse(
+		content
+			.replace(COMMENTS_REGEXP, keepStrings)
+			.replace(TRAILING_COMMAS_REGEXP, keepStrings)
+	);
+}
+
+/**
+ * @param {string} path a path
+ * @param {string} directory a directory
+ * @returns {boolean} true, when the path is inside of the directory
+ */
+function isInside(path, directory) {
+	return (
+		path === directory ||
+		path.startsWith(directory + "/") ||
+		path.startsWith(directory + "\\")
+	);
+}
+
+/**
+ * @param {{[key: string]: string[]}} paths path mappings
+ * @param {string} request request
+ * @returns {{key: string, targets: string[]} | null} matching targets with the wildcard replaced
+ */
+function matchPaths(paths, request) {
+	if (Object.prototype.hasOwnProperty.call(paths, request)) {
+		return { key: request, targets: paths[request] };
+	}
+	let bestKey = null;
+	let bestPrefixLength = -1;
+	let bestMatch = "";
+	for (const key of Object.keys(paths)) {
+		const starIndex = key.indexOf("*");
+		if (starIndex === -1) continue;
+		const prefix = key.slice(0, starIndex);
+		const suffix = key.slice(starIndex + 1);
+		// the longest prefix wins like in typescript
+		if (
+			prefix.length > bestPrefixLength &&
+			request.length >= prefix.length + suffix.length &&
+			request.startsWith(prefix) &&
+			request.endsWith(suffix)
+		) {
+			bestKey = key;
+			bestPrefixLength = prefix.length;
+			bestMatch = request.slice(prefix.length, request.length - suffix.length);
+		}
+	}
+	if (bestKey === null) return null;
+	return {
+		key: bestKey,
+		// a function keeps "$" in the matched segment literal
+		targets: paths[bestKey].map(target => target.replace("*", () => bestMatch))
+	};
+}
+
+module.exports = class TsconfigPathsPlugin {
+	/**
+	 * @param {string | ResolveStepHook} source source
+	 * @param {TsconfigOptions} options options
+	 * @param {string | ResolveStepHook} target target
+	 */
+	constructor(source, options, target) {
+		this.source = source;
+		this.options = options;
+		this.target = target;
+		/** @type {Map<string, {content: string, json: any}>} */
+		this._jsonCache = new Map();
+	}
+
+	/**
+	 * @param {Resolver} resolver the resolver
+	 * @returns {void}
+	 */
+	apply(resolver) {
+		const target = resolver.ensureHook(this.target);
+		resolver
+			.getHook(this.source)
+			.tapAsync("TsconfigPathsPlugin", (request, resolveContext, callback) => {
+				const innerRequest = request.request;
+				if (!innerRequest || !request.module || !request.path) {
+					return callback();
+				}
+				this._getConfigFile(
+					resolver,
+					request.path,
+					resolveContext,
+					(err, configFile) => {
+						if (err) return callback(err);
+						if (!configFile) return callback();
+						this._loadConfig(
+							resolver,
+							configFile,
+							resolveContext,
+							[],
+							(err, config) => {
+								if (err) return callback(err);
+								if (!config) return callback();
+								this._resolveWithConfig(
+									resolver,
+									target,
+									config,
+									request,
+									innerRequest,
+									resolveContext,
+									callback
+								);
+							}
+						);
+					}
+				);
+			});
+	}
+
+	/**
+	 * @param {Resolver} resolver the resolver
+	 * @param {ResolveStepHook} target target
+	 * @param {TsconfigPaths} config paths of the tsconfig
+	 * @param {ResolveRequest} request the request
+	 * @param {string} innerRequest the module request
+	 * @param {ResolveContext} resolveContext resolve context
+	 * @param {function((Error | null)=, ResolveRequest=): void} callback callback
+	 * @returns {void}
+	 */
+	_resolveWithConfig(
+		resolver,
+		target,
+		config,
+		request,
+		innerRequest,
+		resolveContext,
+		callback
+	) {
+		const { baseUrl, paths, pathsBase } = config;
+		const resolveTo = (newRequest, message, callback) => {
+			const obj = {
+				...request,
+				request: newRequest
+			};
+			resolver.doResolve(
+				target,
+				obj,
+				message,
+				resolveContext,
+				(err, result) => {
+					if (err) return callback(err);
+					if (result) return callback(null, result);
+					return callback();
+				}
+			);
+		};
+		const resolveWithBaseUrl = () => {
+			if (baseUrl === undefined) return callback();
+			resolveTo(
+				resolver.join(baseUrl, innerRequest),
+				`using tsconfig baseUrl '${baseUrl}'`,
+				callback
+			);
+		};
+		const match = paths && matchPaths(paths, innerRequest);
+		if (!match) return resolveWithBaseUrl();
+		const base = baseUrl !== undefined ? baseUrl : pathsBase;
+		forEachBail(
+			match.targets,
+			(item, callback) =>
+				resolveTo(
+					resolver.join(base, item),
+					`using tsconfig path mapping '${match.key}' to '${item}'`,
+					callback
+				),
+			(err, result) => {
+				if (err) return callback(err);
+				if (result) return callback(null, result);
+				resolveWithBaseUrl();
+			}
+		);
+	}
+
+	/**
+	 * Selects the tsconfig of the referenced project which contains the path
+	 * @param {Resolver} resolver the resolver
+	 * @param {string} path the path of the request
+	 * @param {ResolveContext} resolveContext resolve context
+	 * @param {function((Error | null)=, string=): void} callback callback with the tsconfig file, undefined when it doesn't exist
+	 * @returns {void}
+	 */
+	_getConfigFile(resolver, path, resolveContext, callback) {
+		const { configFile, references } = this.options;
+		const context = /** @type {string} */ (cdUp(configFile));
+		const selectReference = referencePaths => {
+			let bestFile = configFile;
+			let bestDirectory = "";
+			for (const referencePath of referencePaths) {
+				const absolutePath = resolver.join(context, referencePath);
+				const file = absolutePath.endsWith(".json")
+					? absolutePath
+					: resolver.join(absolutePath, "tsconfig.json");
+				const directory = /** @type {string} */ (cdUp(file));
+				if (
+					directory.length > bestDirectory.length &&
+					isInside(path, directory)
+				) {
+					bestFile = file;
+					bestDirectory = directory;
+				}
+			}
+			return callback(null, bestFile);
+		};
+		if (references !== "auto") return selectReference(references);
+		this._readJson(resolver, configFile, resolveContext, (err, json) => {
+			if (err) return callback(err);
+			if (!json) return callback();
+			selectReference(
+				Array.isArray(json.references)
+					? json.references
+							.filter(reference => reference && reference.path)
+							.map(reference => reference.path)
+					: []
+			);
+		});
+	}
+
+	/**
+	 * Loads a tsconfig and merges it with the tsconfigs it extends
+	 * @param {Resolver} resolver the resolver
+	 * @param {string} configFile absolute path of the tsconfig
+	 * @param {ResolveContext} resolveContext resolve context
+	 * @param {string[]} parents tsconfigs which extend this tsconfig
+	 * @param {function((Error | null)=, TsconfigPaths=): void} callback callback
+	 * @returns {void}
+	 */
+	_loadConfig(resolver, configFile, resolveContext, parents, callback) {
+		if (parents.includes(configFile)) {
+			return callback(
+				new Error(
+					`Circular 'extends' in tsconfig ${[...parents, configFile].join(
+						" -> "
+					)}`
+				)
+			);
+		}
+		this._readJson(resolver, configFile, resolveContext, (err, json) => {
+			if (err) return callback(err);
+			if (!json) return callback();
+			const context = /** @type {string} */ (cdUp(configFile));
+			const extendsList =
+				json.extends === undefined ? [] : [].concat(json.extends);
+			/** @type {TsconfigPaths} */
+			const result = {
+				baseUrl: undefined,
+				paths: undefined,
+				pathsBase: context
+			};
+			let i = 0;
+			const next = () => {
+				if (i === extendsList.length) {
+					const compilerOptions = json.compilerOptions || {};
+					if (typeof compilerOptions.baseUrl === "string") {
+						result.baseUrl = resolver.join(context, compilerOptions.baseUrl);
+					}
+					if (compilerOptions.paths) {
+						result.paths = compilerOptions.paths;
+						result.pathsBase = context;
+					}
+					return callback(null, result);
+				}
+				const extendsRequest = extendsList[i++];
+				this._findExtendedConfig(
+					resolver,
+					context,
+					extendsRequest,
+					resolveContext,
+					(err, extendedFile) => {
+						if (err) return callback(err);
+						if (!extendedFile) {
+							return callback(
+								new Error(
+									`Can't resolve tsconfig '${extendsRequest}' extended by ${configFile}`
+								)
+							);
+						}
+						this._loadConfig(
+							resolver,
+							extendedFile,
+							resolveContext,
+							[...parents, configFile],
+							(err, base) => {
+								if (err) return callback(err);
+								if (!base) {
+									return callback(
+										new Error(
+											`Can't read tsconfig ${extendedFile} extended by ${configFile}`
+										)
+									);
+								}
+								if (base.baseUrl !== undefined) result.baseUrl = base.baseUrl;
+								if (base.paths !== undefined) {
+									result.paths = base.paths;
+									result.pathsBase = base.pathsBase;
+								}
+								next();
+							}
+						);
+					}
+				);
+			};
+			next();
+		});
+	}
+
+	/**
+	 * @param {Resolver} resolver the resolver
+	 * @param {string} context directory of the extending tsconfig
+	 * @param {string} request value of the "extends" property
+	 * @param {ResolveContext} resolveContext resolve context
+	 * @param {function((Error | null)=, string=): void} callback callback with the extended tsconfig file
+	 * @returns {void}
+	 */
+	_findExtendedConfig(resolver, context, request, resolveContext, callback) {
+		/** @type {string[]} */
+		const candidates = [];
+		const addCandidates = file => {
+			candidates.push(file);
+			if (!file.endsWith(".json")) candidates.push(file + ".json");
+		};
+		if (getType(request) === PathType.Normal) {
+			// a tsconfig from a package
+			let directory = context;
+			while (directory) {
+				const file = resolver.join(
+					resolver.join(directory, "node_modules"),
+					request
+				);
+				addCandidates(file);
+				candidates.push(resolver.join(file, "tsconfig.json"));
+				directory = cdUp(directory);
+			}
+		} else {
+			addCandidates(resolver.join(context, request));
+		}
+		forEachBail(
+			candidates,
+			(file, callback) => {
+				resolver.fileSystem.stat(file, (err, stat) => {
+					if (err || !stat || !stat.isFile()) {
+						if (resolveContext.missingDependencies) {
+							resolveContext.missingDependencies.add(file);
+						}
+						return callback();
+					}
+					callback(null, file);
+				});
+			},
+			callback
+		);
+	}
+
+	/**
+	 * Reads the file on every call, so edits are picked up, and parses it again when the content has changed
+	 * @param {Resolver} resolver the resolver
+	 * @param {string} file absolute path of the json file
+	 * @param {ResolveContext} resolveContext resolve context
+	 * @param {function((Error | null)=, any=): void} callback callback with the json, undefined when the file doesn't exist
+	 * @returns {void}
+	 */
+	_readJson(resolver, file, resolveContext, callback) {
+		resolver.fileSystem.readFile(file, (err, buffer) => {
+			if (err || buffer === undefined) {
+				if (resolveContext.missingDependencies) {
+					resolveContext.missingDependencies.add(file);
+				}
+				return callback();
+			}
+			if (resolveContext.fileDependencies) {
+				resolveContext.fileDependencies.add(file);
+			}
+			const content = buffer.toString();
+			const cacheEntry = this._jsonCache.get(file);
+			if (cacheEntry !== undefined && cacheEntry.content === content) {
+				return callback(null, cacheEntry.json);
+			}
+			let json;
+			try {
+				json = parseJsonc(content);
+			} catch (e) {
+				e.message = file + " (tsconfig): " + e.message;
+				return callback(e);
+			}
+			this._jsonCache.set(file, { content, json });
+			callback(null, json);
+		});
+	}
+};
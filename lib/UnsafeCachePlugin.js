@@ -15,7 +15,9 @@ function getCacheId(request, withContext) {
 		context: withContext ? request.context : "",
 		path: request.path,
 		query: request.query,
-		request: request.request
+		fragment: request.fragment,
+		request: request.request,
+		fullySpecified: request.fullySpecified
 	});
 }
 
@@ -0,0 +1,535 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const CachedInputFileSystem = require("./CachedInputFileSystem");
+const ResolverFactory = require("./ResolverFactory");
+
+/** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").FileSystem} FileSystem */
+/** @typedef {import("./Resolver").ResolveError} ResolveError */
+/** @typedef {import("./Resolver").ResolveRequest} ResolveRequest */
+/** @typedef {import("./ResolverFactory").UserResolveOptions} UserResolveOptions */
+/** @typedef {import("./ResolverProfiler").ProfileEntry} ProfileEntry */
+
+/**
+ * @typedef {Object} CliIO
+ * @property {NodeJS.ReadableStream} stdin input of the batch mode
+ * @property {{write: function(string): any}} stdout output of the results
+ * @property {{write: function(string): any}} stderr output of the errors
+ * @property {string} cwd working directory, relative paths are resolved in it
+ * @property {FileSystem=} fileSystem file system for resolving and reading JSON config files, defaults to the Node.js file system
+ */
+
+/**
+ * @typedef {Object} CliArguments
+ * @property {Partial<UserResolveOptions>} options resolve options from flags
+ * @property {string[]} positionals context directory and requests
+ * @property {string=} config path of the config file
+ * @property {boolean} batch read request and context pairs from stdin
+ * @property {boolean} json print results as JSON
+ * @property {boolean} help print the usage
+ */
+
+const USAGE = `Usage: enhanced-resolve [options] <context-dir> <request...>
+       enhanced-resolve [options] --batch < requests.jsonl
+
+Resolves the requests in the context directory and prints the resolved paths
+and the result metadata. On failure the log of the resolving is printed.
+
+Options:
+  --config <file>    JSON or JS file which contains resolve options
+  --json             Print the results as JSON
+  --batch            Read JSON lines with "context" and "request" from stdin
+                     and write a JSON line for each of them
+  --profile          Print the calls and time of the hooks and plugins to stderr
+  --help             Print this help
+  --<option> <value> Any resolve option, e.g. --extensions .ts --extensions .js
+                     or --alias '{"a": "./b"}'. Values are parsed as JSON when
+                     possible, flags without a value are true. Options which
+                     can be boolean only take a value with "=", e.g.
+                     --symlinks=false or --tsconfig=./tsconfig.base.json.
+                     Paths of tsconfig and importMap are resolved in the
+                     working directory.
+`;
+
+// flags which can be boolean and don't take the next argument as value,
+// e.g. "--symlinks=false" or "--tsconfig=./tsconfig.base.json"
+const BOOLEAN_FLAGS = new Set([
+	"batch",
+	"cacheWithContext",
+	"enforceExtension",
+	"fullySpecified",
+	"help",
+	"json",
+	"preferAbsolute",
+	"preferRelative",
+	"profile",
+	"resolveToContext",
+	"suggestions",
+	"symlinks",
+	"tracePluginNames",
+	"tsconfig",
+	"unsafeCache",
+	"useSyncFileSystemCalls"
+]);
+
+// options which expect an array, a single flag is wrapped
+const ARRAY_OPTIONS = new Set([
+	"aliasFields",
+	"builtinModules",
+	"conditionNames",
+	"descriptionFiles",
+	"exportsFields",
+	"extensions",
+	"importsFields",
+	"mainFields",
+	"mainFiles",
+	"modules",
+	"restrictions",
+	"roots"
+]);
+
+/**
+ * @param {string} str input string
+ * @returns {string} in camel case
+ */
+function toCamelCase(str) {
+	return str.replace(/-([a-z])/g, str => str.substr(1).toUpperCase());
+}
+
+/**
+ * @param {string} value value of a flag
+ * @returns {any} the parsed JSON or the string
+ */
+function parseValue(value) {
+	try {
+		return JSON.parse(value);
+	} catch (e) {
+		return value;
+	}
+}
+
+/**
+ * @param {string[]} args command line arguments
+ * @returns {CliArguments} parsed arguments
+ */
+function parseArguments(args) {
+	/** @type {CliArguments} */
+	const result = {
+		options: {},
+		positionals: [],
+		config: undefined,
+		batch: false,
+		json: false,
+		help: false
+	};
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (!arg.startsWith("--")) {
+			result.positionals.push(arg);
+			continue;
+		}
+		if (arg === "--") {
+			result.positionals.push(...args.slice(i + 1));
+			break;
+		}
+		const equalsIndex = arg.indexOf("=");
+		const name = toCamelCase(
+			arg.slice(2, equalsIndex < 0 ? arg.length : equalsIndex)
+		);
+		let value;
+		if (equalsIndex >= 0) {
+			value = arg.slice(equalsIndex + 1);
+		} else if (
+			!BOOLEAN_FLAGS.has(name) &&
+			i + 1 < args.length &&
+			!args[i + 1].startsWith("--")
+		) {
+			value = args[++i];
+		}
+		switch (name) {
+			case "batch":
+			case "json":
+			case "help":
+				result[name] = value === undefined || parseValue(value) !== false;
+				break;
+			case "config":
+				if (value === undefined) {
+					throw new Error("The '--config' flag expects a file");
+				}
+				result.config = value;
+				break;
+			default: {
+				const parsed = value === undefined ? true : parseValue(value);
+				const current = result.options[name];
+				if (current !== undefined && ARRAY_OPTIONS.has(name)) {
+					result.options[name] = current.concat(parsed);
+				} else {
+					result.options[name] =
+						ARRAY_OPTIONS.has(name) && !Array.isArray(parsed)
+							? [parsed]
+							: parsed;
+				}
+			}
+		}
+	}
+	return result;
+}
+
+/**
+ * @param {string} file absolute path of the config file
+ * @param {FileSystem} fileSystem file system for JSON files
+ * @param {function((Error | null)=, Partial<UserResolveOptions>=): void} callback callback with the options
+ * @returns {void}
+ */
+function loadConfig(file, fileSystem, callback) {
+	if (!file.endsWith(".json")) {
+		let config;
+		try {
+			config = require(file);
+		} catch (e) {
+			return callback(e);
+		}
+		return callback(null, config);
+	}
+	fileSystem.readFile(file, (err, content) => {
+		if (err || content === undefined) {
+			return callback(err || new Error(`Can't read config file ${file}`));
+		}
+		let config;
+		try {
+			config = JSON.parse(content.toString());
+		} catch (e) {
+			e.message = file + " (config file): " + e.message;
+			return callback(e);
+		}
+		callback(null, config);
+	});
+}
+
+/**
+ * Resolves the paths of the tsconfig and import map options in the working directory
+ * @param {Partial<UserResolveOptions>} options resolve options
+ * @param {string} cwd working directory
+ * @returns {Partial<UserResolveOptions>} options with absolute paths
+ */
+function resolveOptionPaths(options, cwd) {
+	const { tsconfig, importMap } = options;
+	const result = { ...options };
+	if (typeof importMap === "string") {
+		result.importMap = path.resolve(cwd, importMap);
+	}
+	if (tsconfig === true) {
+		result.tsconfig = path.resolve(cwd, "tsconfig.json");
+	} else if (typeof tsconfig === "string") {
+		result.tsconfig = path.resolve(cwd, tsconfig);
+	} else if (tsconfig) {
+		result.tsconfig = {
+			...tsconfig,
+			configFile: path.resolve(cwd, tsconfig.configFile || "tsconfig.json")
+		};
+	}
+	return result;
+}
+
+/**
+ * @param {ProfileEntry[]} entries entries of the profile
+ * @returns {string} a line per entry
+ */
+function formatProfileEntries(entries) {
+	return entries
+		.map(
+			entry =>
+				`  ${entry.name}: ${entry.calls} calls, ${entry.time.toFixed(
+					1
+				)} ms, ${entry.selfTime.toFixed(1)} ms self\n`
+		)
+		.join("");
+}
+
+/**
+ * Writes the profile to stderr, so the results can still be parsed
+ * @param {Resolver} resolver the resolver, created with the profile option
+ * @param {boolean} json write the profile as a JSON line
+ * @param {CliIO} io streams
+ * @returns {void}
+ */
+function writeProfile(resolver, json, io) {
+	const profile = resolver.getProfile();
+	io.stderr.write(
+		json
+			? toJsonLine({ profile })
+			: `Profile of the hooks:\n${formatProfileEntries(
+					profile.hooks
+			  )}Profile of the plugins:\n${formatProfileEntries(profile.plugins)}`
+	);
+}
+
+/**
+ * Calls the function for the items one after another. Every item starts on a
+ * fresh stack, so resolvers which call back synchronously, e.g. with the sync
+ * file system calls or the unsafe cache, don't overflow the stack.
+ * @template T
+ * @param {T[]} items items
+ * @param {function(T, function(): void): void} fn function which calls the callback when the item is done
+ * @param {function(): void} callback callback when all items are done
+ * @returns {void}
+ */
+function forEachSeries(items, fn, callback) {
+	let i = 0;
+	const next = () => {
+		if (i === items.length) return callback();
+		fn(items[i++], () => process.nextTick(next));
+	};
+	next();
+}
+
+/**
+ * @param {string} context context directory
+ * @param {string} request request
+ * @param {string | false} result resolved path
+ * @param {ResolveRequest} resolvedRequest resolved request
+ * @returns {object} result and its metadata
+ */
+function getResultData(context, request, result, resolvedRequest) {
+	return {
+		context,
+		request,
+		path: result,
+		query: resolvedRequest.query || undefined,
+		fragment: resolvedRequest.fragment || undefined,
+		descriptionFilePath: resolvedRequest.descriptionFilePath,
+		descriptionFileRoot: resolvedRequest.descriptionFileRoot,
+		relativePath: resolvedRequest.relativePath,
+		builtin: resolvedRequest.builtin
+	};
+}
+
+/**
+ * @param {string} context context directory
+ * @param {string} request request
+ * @param {ResolveError} err resolve error
+ * @param {boolean} withDetails include the log of the resolving
+ * @returns {object} error data
+ */
+function getErrorData(context, request, err, withDetails) {
+	return {
+		context,
+		request,
+		error: {
+			message: err.message,
+			code: err.code,
+			packageName: err.packageName,
+			candidates: err.candidates,
+			suggestions: err.suggestions,
+			details: withDetails ? err.details : undefined
+		}
+	};
+}
+
+/**
+ * @param {object} data data
+ * @returns {string} a line of JSON
+ */
+function toJsonLine(data) {
+	return JSON.stringify(data) + "\n";
+}
+
+/**
+ * Command-line interface, which is used by "bin/enhanced-resolve.js"
+ * @param {string[]} args command line arguments, without node and the script
+ * @param {CliIO} io streams and working directory
+ * @param {function(number): void} callback callback with the exit code
+ * @returns {void}
+ */
+module.exports = function cli(args, io, callback) {
+	let parsed;
+	try {
+		parsed = parseArguments(args);
+	} catch (e) {
+		io.stderr.write(e.message + "\n\n" + USAGE);
+		return callback(2);
+	}
+	const { options, positionals, config, batch, json, help } = parsed;
+	if (help) {
+		io.stdout.write(USAGE);
+		return callback(0);
+	}
+	if (batch ? positionals.length > 0 : positionals.length < 2) {
+		io.stderr.write(USAGE);
+		return callback(2);
+	}
+	const fileSystem = io.fileSystem || new CachedInputFileSystem(fs, 4000);
+	const withConfig = callback => {
+		if (config === undefined) return callback(null, {});
+		loadConfig(path.resolve(io.cwd, config), fileSystem, callback);
+	};
+	withConfig((err, configOptions) => {
+		if (err) {
+			io.stderr.write(err.message + "\n");
+			return callback(2);
+		}
+		let resolver;
+		try {
+			resolver = ResolverFactory.createResolver({
+				fileSystem,
+				...resolveOptionPaths({ ...configOptions, ...options }, io.cwd)
+			});
+		} catch (e) {
+			io.stderr.write(e.message + "\n");
+			return callback(2);
+		}
+		const done = exitCode => {
+			if (resolver.options.profile) {
+				writeProfile(resolver, json || batch, io);
+			}
+			callback(exitCode);
+		};
+		if (batch) {
+			return runBatch(resolver, io, done);
+		}
+		const context = path.resolve(io.cwd, positionals[0]);
+		runRequests(resolver, context, positionals.slice(1), json, io, done);
+	});
+};
+
+/**
+ * @param {Resolver} resolver the resolver
+ * @param {string} context context directory
+ * @param {string[]} requests requests
+ * @param {boolean} json print the results as JSON
+ * @param {CliIO} io streams
+ * @param {function(number): void} callback callback with the exit code
+ * @returns {void}
+ */
+function runRequests(resolver, context, requests, json, io, callback) {
+	let exitCode = 0;
+	forEachSeries(
+		requests,
+		(request, done) => {
+			resolver.resolve(
+				{},
+				context,
+				request,
+				{},
+				(err, result, resolvedRequest) => {
+					if (err || result === undefined || !resolvedRequest) {
+						exitCode = 1;
+						/** @type {ResolveError} */
+						const error = err || new Error("No result");
+						if (json) {
+							io.stdout.write(
+								toJsonLine(getErrorData(context, request, error, true))
+							);
+						} else {
+							io.stderr.write(
+								error.message +
+									(error.details ? "\n" + error.details : "") +
+									"\n"
+							);
+						}
+						return done();
+					}
+					const data = getResultData(context, request, result, resolvedRequest);
+					if (json) {
+						io.stdout.write(toJsonLine(data));
+					} else {
+						io.stdout.write(
+							`${result}\n` +
+								Object.keys(data)
+									.filter(key => key !== "path" && data[key] !== undefined)
+									.map(key => `  ${key}: ${data[key]}\n`)
+									.join("")
+						);
+					}
+					done();
+				}
+			);
+		},
+		() => callback(exitCode)
+	);
+}
+
+/**
+ * Resolves the request and context pairs of the stdin one after another,
+ * so the output has the order of the input
+ * @param {Resolver} resolver the resolver
+ * @param {CliIO} io streams and working directory
+ * @param {function(number): void} callback callback with the exit code
+ * @returns {void}
+ */
+function runBatch(resolver, io, callback) {
+	let input = "";
+	io.stdin.setEncoding("utf-8");
+	io.stdin.on("data", chunk => {
+		input += chunk;
+	});
+	io.stdin.on("end", () => {
+		const lines = input.split("\n").filter(line => line.trim() !== "");
+		let exitCode = 0;
+		forEachSeries(
+			lines,
+			(line, done) => {
+				let item;
+				try {
+					item = JSON.parse(line);
+				} catch (e) {
+					exitCode = 1;
+					io.stdout.write(
+						toJsonLine({ input: line, error: { message: e.message } })
+					);
+					return done();
+				}
+				const { context, request } = item || {};
+				if (typeof context !== "string" || typeof request !== "string") {
+					exitCode = 1;
+					io.stdout.write(
+						toJsonLine({
+							input: line,
+							error: {
+								message: "Expected an object with 'context' and 'request'"
+							}
+						})
+					);
+					return done();
+				}
+				const absoluteContext = path.resolve(io.cwd, context);
+				resolver.resolve(
+					{},
+					absoluteContext,
+					request,
+					{},
+					(err, result, resolvedRequest) => {
+						if (err || result === undefined || !resolvedRequest) {
+							exitCode = 1;
+							io.stdout.write(
+								toJsonLine(
+									getErrorData(
+										context,
+										request,
+										err || new Error("No result"),
+										false
+									)
+								)
+							);
+						} else {
+							io.stdout.write(
+								toJsonLine(
+									getResultData(context, request, result, resolvedRequest)
+								)
+							);
+						}
+						done();
+					}
+				);
+			},
+			() => callback(exitCode)
+		);
+	});
+}
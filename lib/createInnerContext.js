@@ -30,6 +30,10 @@ module.exports = function createInnerContext(
 		fileDependencies: options.fileDependencies,
 		contextDependencies: options.contextDependencies,
 		missingDependencies: options.missingDependencies,
+		candidates: options.candidates,
+		warnings: options.warnings,
+		trace: options.trace,
+		profileFrame: options.profileFrame,
 		stack: options.stack
 	};
 	return childContext;
@@ -0,0 +1,386 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/** @typedef {string|(string|ConditionalMapping)[]} DirectMapping */
+/** @typedef {{[k: string]: MappingValue}} ConditionalMapping */
+/** @typedef {ConditionalMapping|DirectMapping|null} MappingValue */
+/** @typedef {Record<string, MappingValue>|ConditionalMapping|DirectMapping} ExportsField */
+/** @typedef {Record<string, MappingValue>} ImportsField */
+
+/**
+ * Processing exports or imports field
+ * @callback FieldProcessor
+ * @param {string} request request
+ * @param {Set<string>} conditionNames condition names
+ * @returns {string[]} resolved paths
+ */
+
+const slashCode = "/".charCodeAt(0);
+const dotCode = ".".charCodeAt(0);
+const hashCode = "#".charCodeAt(0);
+
+/**
+ * @param {ExportsField} exportsField the exports field
+ * @returns {FieldProcessor} process callback
+ */
+module.exports.processExportsField = function processExportsField(
+	exportsField
+) {
+	return createFieldProcessor(
+		buildExportsField(exportsField),
+		normalizeExportsRequest
+	);
+};
+
+/**
+ * @param {ImportsField} importsField the imports field
+ * @returns {FieldProcessor} process callback
+ */
+module.exports.processImportsField = function processImportsField(
+	importsField
+) {
+	return createFieldProcessor(
+		buildImportsField(importsField),
+		normalizeImportsRequest
+	);
+};
+
+/**
+ * @param {Record<string, MappingValue>} field validated field
+ * @param {function(string): string} normalizeRequest validates and normalizes the request
+ * @returns {FieldProcessor} process callback
+ */
+function createFieldProcessor(field, normalizeRequest) {
+	return function fieldProcessor(request, conditionNames) {
+		const match = findMatch(normalizeRequest(request), field);
+
+		if (match === null) return [];
+
+		const [mapping, remainingRequest, isPattern] = match;
+
+		/** @type {DirectMapping|null} */
+		let direct = null;
+
+		if (isConditionalMapping(mapping)) {
+			direct = conditionalMapping(
+				/** @type {ConditionalMapping} */ (mapping),
+				conditionNames
+			);
+
+			// matching not found
+			if (direct === null) return [];
+		} else {
+			direct = /** @type {DirectMapping} */ (mapping);
+		}
+
+		return directMapping(remainingRequest, isPattern, direct, conditionNames);
+	};
+}
+
+/**
+ * @param {string} request request
+ * @returns {string} normalized request, "." or "./..."
+ */
+function normalizeExportsRequest(request) {
+	if (request.length === 0 || request === ".") return ".";
+	if (request.charCodeAt(0) !== dotCode || request.charCodeAt(1) !== slashCode)
+		throw new Error('Request should be relative path and start with "./"');
+	if (request.charCodeAt(request.length - 1) === slashCode)
+		throw new Error("Only requesting file allowed");
+	return request;
+}
+
+/**
+ * @param {string} request request
+ * @returns {string} the request, "#..."
+ */
+function normalizeImportsRequest(request) {
+	if (request.charCodeAt(0) !== hashCode)
+		throw new Error('Request should start with "#"');
+	if (request.length === 1)
+		throw new Error("Request should have at least 2 characters");
+	if (request.charCodeAt(1) === slashCode)
+		throw new Error('Request should not start with "#/"');
+	if (request.charCodeAt(request.length - 1) === slashCode)
+		throw new Error("Only requesting file allowed");
+	return request;
+}
+
+/**
+ * Sorts pattern keys the way Node.js does: the longer static prefix wins,
+ * exact keys win over patterns, then the longer key wins
+ * @param {string} a first key
+ * @param {string} b second key
+ * @returns {number} compare result
+ */
+function patternKeyCompare(a, b) {
+	const aPatternIndex = a.indexOf("*");
+	const bPatternIndex = b.indexOf("*");
+	const baseLenA = aPatternIndex === -1 ? a.length : aPatternIndex + 1;
+	const baseLenB = bPatternIndex === -1 ? b.length : bPatternIndex + 1;
+
+	if (baseLenA > baseLenB) return -1;
+	if (baseLenB > baseLenA) return 1;
+	if (aPatternIndex === -1) return 1;
+	if (bPatternIndex === -1) return -1;
+	if (a.length > b.length) return -1;
+	if (b.length > a.length) return 1;
+
+	return 0;
+}
+
+module.exports.patternKeyCompare = patternKeyCompare;
+
+/**
+ * Trying to match request to field
+ * @param {string} request request
+ * @param {Record<string, MappingValue>} field exports or imports field
+ * @returns {[MappingValue, string | undefined, boolean]|null} match, remaining request and whether it was a pattern match
+ */
+function findMatch(request, field) {
+	if (
+		Object.prototype.hasOwnProperty.call(field, request) &&
+		!request.includes("*")
+	) {
+		return [field[request], undefined, false];
+	}
+
+	let bestMatch = "";
+	/** @type {string|undefined} */
+	let bestMatchSubpath;
+
+	const keys = Object.getOwnPropertyNames(field);
+
+	for (let i = 0; i < keys.length; i++) {
+		const key = keys[i];
+		const patternIndex = key.indexOf("*");
+
+		if (
+			patternIndex !== -1 &&
+			key.lastIndexOf("*") === patternIndex &&
+			request.startsWith(key.slice(0, patternIndex))
+		) {
+			const patternTrailer = key.slice(patternIndex + 1);
+
+			if (
+				request.length >= key.length &&
+				request.endsWith(patternTrailer) &&
+				patternKeyCompare(bestMatch, key) === 1
+			) {
+				bestMatch = key;
+				bestMatchSubpath = request.slice(
+					patternIndex,
+					request.length - patternTrailer.length
+				);
+			}
+		}
+	}
+
+	if (bestMatch === "") return null;
+
+	return [field[bestMatch], bestMatchSubpath, true];
+}
+
+/**
+ * @param {ConditionalMapping|DirectMapping|null} mapping mapping
+ * @returns {boolean} is conditional mapping
+ */
+function isConditionalMapping(mapping) {
+	return (
+		mapping !== null && typeof mapping === "object" && !Array.isArray(mapping)
+	);
+}
+
+/**
+ * @param {string|undefined} remainingRequest remaining request when the key was a pattern
+ * @param {boolean} isPattern true, if the key was a pattern
+ * @param {DirectMapping|null} mappingTarget direct export
+ * @param {Set<string>} conditionNames condition names
+ * @returns {string[]} mapping result
+ */
+function directMapping(
+	remainingRequest,
+	isPattern,
+	mappingTarget,
+	conditionNames
+) {
+	if (mappingTarget === null) return [];
+
+	if (typeof mappingTarget === "string") {
+		return [targetMapping(remainingRequest, isPattern, mappingTarget)];
+	}
+
+	/** @type {string[]} */
+	const targets = [];
+
+	for (const exp of mappingTarget) {
+		if (typeof exp === "string") {
+			targets.push(targetMapping(remainingRequest, isPattern, exp));
+			continue;
+		}
+
+		const mapping = conditionalMapping(exp, conditionNames);
+		if (!mapping) continue;
+		const innerExports = directMapping(
+			remainingRequest,
+			isPattern,
+			mapping,
+			conditionNames
+		);
+		for (const innerExport of innerExports) {
+			targets.push(innerExport);
+		}
+	}
+
+	return targets;
+}
+
+/**
+ * @param {string|undefined} remainingRequest remaining request when the key was a pattern
+ * @param {boolean} isPattern true, if the key was a pattern
+ * @param {string} mappingTarget direct export
+ * @returns {string} mapping result
+ */
+function targetMapping(remainingRequest, isPattern, mappingTarget) {
+	if (!isPattern || remainingRequest === undefined) return mappingTarget;
+	return mappingTarget.replace(/\*/g, remainingRequest.replace(/\$/g, "$$$$"));
+}
+
+/**
+ * @param {ConditionalMapping} conditionalMapping_ conditional mapping
+ * @param {Set<string>} conditionNames condition names
+ * @returns {DirectMapping|null} direct mapping if found
+ */
+function conditionalMapping(conditionalMapping_, conditionNames) {
+	/** @type {[ConditionalMapping, string[], number][]} */
+	let lookup = [[conditionalMapping_, Object.keys(conditionalMapping_), 0]];
+
+	loop: while (lookup.length > 0) {
+		const [mapping, conditions, j] = lookup[lookup.length - 1];
+		const last = conditions.length - 1;
+
+		for (let i = j; i < conditions.length; i++) {
+			const condition = conditions[i];
+
+			// assert default. Could be last only
+			if (i !== last && condition === "default") {
+				throw new Error("Default condition should be last one");
+			}
+
+			if (condition === "default" || conditionNames.has(condition)) {
+				const innerMapping = mapping[condition];
+				// is nested
+				if (isConditionalMapping(innerMapping)) {
+					const conditionalMapping = /** @type {ConditionalMapping} */ (innerMapping);
+					lookup[lookup.length - 1][2] = i + 1;
+					lookup.push([conditionalMapping, Object.keys(conditionalMapping), 0]);
+					continue loop;
+				}
+
+				return /** @type {DirectMapping|null} */ (innerMapping);
+			}
+		}
+
+		lookup.pop();
+	}
+
+	return null;
+}
+
+/**
+ * Validates the keys of the exports field and expands the syntax sugar for "."
+ * @param {ExportsField} field exports field
+ * @returns {Record<string, MappingValue>} normalized exports field
+ */
+function buildExportsField(field) {
+	// handle syntax sugar, if exports field is direct mapping for "."
+	if (typeof field === "string" || Array.isArray(field)) {
+		return { ".": field };
+	}
+
+	const keys = Object.keys(field);
+
+	for (let i = 0; i < keys.length; i++) {
+		const key = keys[i];
+
+		if (key.charCodeAt(0) !== dotCode) {
+			// handle syntax sugar, if exports field is conditional mapping for "."
+			if (i === 0) {
+				while (i < keys.length) {
+					const charCode = keys[i].charCodeAt(0);
+					if (charCode === dotCode || charCode === slashCode) {
+						throw new Error(
+							`Exports field key should be relative path and start with "." (key: ${JSON.stringify(
+								key
+							)})`
+						);
+					}
+					i++;
+				}
+
+				return { ".": field };
+			}
+
+			throw new Error(
+				`Exports field key should be relative path and start with "." (key: ${JSON.stringify(
+					key
+				)})`
+			);
+		}
+
+		if (key.length === 1) {
+			continue;
+		}
+
+		if (key.charCodeAt(1) !== slashCode) {
+			throw new Error(
+				`Exports field key should be relative path and start with "./" (key: ${JSON.stringify(
+					key
+				)})`
+			);
+		}
+	}
+
+	return /** @type {Record<string, MappingValue>} */ (field);
+}
+
+/**
+ * Validates the keys of the imports field
+ * @param {ImportsField} field imports field
+ * @returns {Record<string, MappingValue>} imports field
+ */
+function buildImportsField(field) {
+	const keys = Object.keys(field);
+
+	for (let i = 0; i < keys.length; i++) {
+		const key = keys[i];
+
+		if (key.charCodeAt(0) !== hashCode) {
+			throw new Error(
+				`Imports field key should start with "#" (key: ${JSON.stringify(key)})`
+			);
+		}
+
+		if (key.length === 1) {
+			throw new Error(
+				`Imports field key should have at least 2 characters (key: ${JSON.stringify(
+					key
+				)})`
+			);
+		}
+
+		if (key.charCodeAt(1) === slashCode) {
+			throw new Error(
+				`Imports field key should not start with "#/" (key: ${JSON.stringify(
+					key
+				)})`
+			);
+		}
+	}
+
+	return field;
+}
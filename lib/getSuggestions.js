@@ -0,0 +1,207 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+const { cdUp } = require("./DescriptionFileUtils");
+const getPaths = require("./getPaths");
+
+/** @typedef {import("./Resolver")} Resolver */
+/** @typedef {import("./Resolver").ResolveContext} ResolveContext */
+
+/**
+ * @param {string} request module request
+ * @returns {string} name of the package, including the scope
+ */
+function getPackageName(request) {
+	const parts = request.split("/");
+	return request.startsWith("@") && parts.length > 1
+		? parts[0] + "/" + parts[1]
+		: parts[0];
+}
+
+/**
+ * Optimal string alignment distance, a swap of two adjacent characters is one edit like in "raect"
+ * @param {string} a a string
+ * @param {string} b another string
+ * @returns {number} the edit distance of the strings
+ */
+function getEditDistance(a, b) {
+	/** @type {number[]} */
+	let beforePrevious = [];
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+			);
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+			}
+		}
+		beforePrevious = previous;
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+/**
+ * @param {string} name the name which wasn't found
+ * @param {string[]} entries names of the directory entries
+ * @returns {{entry: string, distance: number}[]} entries which are similar to the name
+ */
+function findSimilarEntries(name, entries) {
+	const lowerName = name.toLowerCase();
+	// allows a typo in every third character
+	const maxDistance = Math.max(1, Math.floor(name.length / 3));
+	const result = [];
+	for (const entry of entries) {
+		if (entry === name || entry.startsWith(".")) continue;
+		const lowerEntry = entry.toLowerCase();
+		const extIndex = lowerEntry.lastIndexOf(".");
+		// differences in case and extension are cheaper than typos
+		const distance = Math.min(
+			getEditDistance(lowerName, lowerEntry),
+			extIndex > 0
+				? getEditDistance(lowerName, lowerEntry.slice(0, extIndex))
+				: Infinity
+		);
+		if (distance <= maxDistance) result.push({ entry, distance });
+	}
+	return result;
+}
+
+/**
+ * Looks for sibling files and packages which are similar to a request which can't be resolved
+ * @param {Resolver} resolver the resolver
+ * @param {object} context context information object
+ * @param {string} path context path
+ * @param {string} request request string
+ * @param {ResolveContext} resolveContext resolve context
+ * @param {function(string[]): void} callback callback with the suggested requests, best first
+ * @returns {void}
+ */
+function getSuggestions(
+	resolver,
+	context,
+	path,
+	request,
+	resolveContext,
+	callback
+) {
+	const fileSystem = resolver.fileSystem;
+	const readdir = fileSystem.readdir;
+	const parsed = resolver.parse(request);
+	const innerRequest = parsed.request;
+	if (!innerRequest) return callback([]);
+	const suffix = parsed.query + parsed.fragment;
+
+	/** @type {{directory: string, name: string, prefix: string, rest: string}[]} */
+	const lookups = [];
+	if (parsed.module) {
+		const packageName = getPackageName(innerRequest);
+		const rest = innerRequest.slice(packageName.length);
+		const slashIndex = packageName.indexOf("/");
+		// only the name is compared for scoped packages
+		const scope = slashIndex < 0 ? "" : packageName.slice(0, slashIndex);
+		for (const item of resolver.options.modules) {
+			const modulesDirectories = Array.isArray(item)
+				? getPaths(path).paths.reduce(
+						(directories, directory) =>
+							directories.concat(
+								item.map(name => resolver.join(directory, name))
+							),
+						/** @type {string[]} */ ([])
+				  )
+				: [item];
+			for (const directory of modulesDirectories) {
+				lookups.push({
+					directory: scope ? resolver.join(directory, scope) : directory,
+					name: scope ? packageName.slice(slashIndex + 1) : packageName,
+					prefix: scope ? scope + "/" : "",
+					rest
+				});
+			}
+		}
+	} else {
+		const unresolvedPath = resolver.join(path, innerRequest);
+		const name = getPaths.basename(unresolvedPath);
+		const directory = cdUp(unresolvedPath);
+		if (name && directory && innerRequest.endsWith(name)) {
+			lookups.push({
+				directory,
+				name,
+				prefix: innerRequest.slice(0, innerRequest.length - name.length),
+				rest: ""
+			});
+		}
+	}
+	const checkRelative = parsed.module && !resolver.options.preferRelative;
+
+	/** @type {{request: string, distance: number}[]} */
+	const suggestions = [];
+	let remaining = (readdir ? lookups.length : 0) + (checkRelative ? 1 : 0);
+	const done = () => {
+		if (--remaining > 0) return;
+		const seen = new Set();
+		callback(
+			suggestions
+				.sort((a, b) =>
+					a.distance !== b.distance
+						? a.distance - b.distance
+						: a.request < b.request
+						? -1
+						: a.request > b.request
+						? 1
+						: 0
+				)
+				.map(suggestion => suggestion.request)
+				.filter(request => !seen.has(request) && seen.add(request))
+				.slice(0, 3)
+		);
+	};
+	if (remaining === 0) return callback([]);
+
+	if (readdir) {
+		for (const { directory, name, prefix, rest } of lookups) {
+			readdir.call(fileSystem, directory, (err, entries) => {
+				if (!err && entries) {
+					for (const { entry, distance } of findSimilarEntries(
+						name,
+						entries.map(entry => `${entry}`)
+					)) {
+						suggestions.push({
+							request: prefix + entry + rest + suffix,
+							distance
+						});
+					}
+				}
+				done();
+			});
+		}
+	}
+	if (checkRelative) {
+		const relativeRequest = "./" + request;
+		resolver.doResolve(
+			resolver.hooks.resolve,
+			{ context, path, request: relativeRequest },
+			`resolve '${relativeRequest}' in '${path}' as relative request`,
+			{ stack: resolveContext.stack },
+			(err, result) => {
+				// a working relative request is the best suggestion
+				if (!err && result) {
+					suggestions.push({ request: relativeRequest, distance: -1 });
+				}
+				done();
+			}
+		);
+	}
+}
+
+module.exports = getSuggestions;
+module.exports.getPackageName = getPackageName;
@@ -7,6 +7,8 @@
 
 const fs = require("fs");
 const CachedInputFileSystem = require("./CachedInputFileSystem");
+const CaseInsensitiveFileSystem = require("./CaseInsensitiveFileSystem");
+const ChromeTraceExporter = require("./ChromeTraceExporter");
 const ResolverFactory = require("./ResolverFactory");
 
 const nodeFileSystem = new CachedInputFileSystem(fs, 4000);
@@ -39,6 +41,21 @@ module.exports = function resolve(
 	asyncResolver.resolve(context, path, request, resolveContext, callback);
 };
 
+module.exports.promise = function resolvePromise(
+	context,
+	path,
+	request,
+	resolveContext
+) {
+	if (typeof context === "string") {
+		resolveContext = request;
+		request = path;
+		path = context;
+		context = nodeContext;
+	}
+	return asyncResolver.resolvePromise(context, path, request, resolveContext);
+};
+
 const syncResolver = ResolverFactory.createResolver({
 	extensions: [".js", ".json", ".node"],
 	useSyncFileSystemCalls: true,
@@ -74,6 +91,23 @@ module.exports.create = function create(options) {
 	};
 };
 
+module.exports.create.promise = function createPromise(options) {
+	options = {
+		fileSystem: nodeFileSystem,
+		...options
+	};
+	const resolver = ResolverFactory.createResolver(options);
+	return function(context, path, request, resolveContext) {
+		if (typeof context === "string") {
+			resolveContext = request;
+			request = path;
+			path = context;
+			context = nodeContext;
+		}
+		return resolver.resolvePromise(context, path, request, resolveContext);
+	};
+};
+
 module.exports.create.sync = function createSync(options) {
 	options = {
 		useSyncFileSystemCalls: true,
@@ -95,3 +129,7 @@ module.exports.create.sync = function createSync(options) {
 module.exports.ResolverFactory = ResolverFactory;
 
 module.exports.CachedInputFileSystem = CachedInputFileSystem;
+
+module.exports.CaseInsensitiveFileSystem = CaseInsensitiveFileSystem;
+
+module.exports.ChromeTraceExporter = ChromeTraceExporter;
@@ -183,3 +183,48 @@ const cachedJoin = (rootPath, request) => {
 	return cacheEntry;
 };
 exports.cachedJoin = cachedJoin;
+
+/**
+ * Checks that a target of the exports or imports field doesn't leave the package
+ * @param {string} relativePath relative path of the target, starting with "./"
+ * @returns {Error | undefined} error when the target is invalid
+ */
+const checkImportsExportsFieldTarget = relativePath => {
+	const segments = relativePath.split(/[\\/]/);
+	let cd = 0;
+	for (let i = 1; i < segments.length; i++) {
+		switch (segments[i]) {
+			case "":
+			case ".":
+				break;
+			case "..":
+				cd--;
+				if (cd < 0)
+					return new Error(
+						`Trying to access out of package scope. Requesting ${relativePath}`
+					);
+				break;
+			case "node_modules":
+				return new Error(
+					`Trying to access a package from node_modules. Requesting ${relativePath}`
+				);
+			default:
+				cd++;
+				break;
+		}
+	}
+};
+exports.checkImportsExportsFieldTarget = checkImportsExportsFieldTarget;
+
+// a single letter is a windows drive letter and not a scheme
+const SCHEME_REGEXP = /^([a-z][a-z0-9+\-.]+):/i;
+
+/**
+ * @param {string} request request
+ * @returns {string | undefined} scheme in lower case, without the colon
+ */
+const getScheme = request => {
+	const match = SCHEME_REGEXP.exec(request);
+	return match ? match[1].toLowerCase() : undefined;
+};
+exports.getScheme = getScheme;
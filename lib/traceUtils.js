@@ -0,0 +1,62 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+"use strict";
+
+/** @typedef {import("./Resolver").ResolveContext} ResolveContext */
+/** @typedef {import("./Resolver").ResolveRequest} ResolveRequest */
+/** @typedef {import("./Resolver").ResolveStepHook} ResolveStepHook */
+
+/**
+ * @returns {number} high resolution time in milliseconds
+ */
+const now = () => {
+	const [seconds, nanoseconds] = process.hrtime();
+	return seconds * 1000 + nanoseconds / 1e6;
+};
+exports.now = now;
+
+/**
+ * @param {ResolveRequest} request the request
+ * @returns {Partial<ResolveRequest>} the serializable parts of the request, without the description file data
+ */
+exports.snapshotRequest = request => ({
+	path: request.path,
+	request: request.request,
+	query: request.query,
+	fragment: request.fragment,
+	directory: request.directory,
+	module: request.module,
+	internal: request.internal,
+	fullySpecified: request.fullySpecified,
+	descriptionFilePath: request.descriptionFilePath,
+	descriptionFileRoot: request.descriptionFileRoot,
+	relativePath: request.relativePath
+});
+
+/**
+ * Wraps the callback of a file system call, so the call is added to the trace
+ * @param {ResolveContext} resolveContext resolve context
+ * @param {string} method name of the file system method
+ * @param {string} path path which is passed to the method
+ * @param {function(any, any=): void} callback callback of the call
+ * @returns {function(any, any=): void} the callback, wrapped when tracing
+ */
+exports.traceFileSystemCall = (resolveContext, method, path, callback) => {
+	const trace = resolveContext.trace;
+	if (!trace) return callback;
+	const time = now();
+	return (err, result) => {
+		trace({
+			type: "fs",
+			time,
+			duration: now() - time,
+			method,
+			path,
+			error: err ? err.code || err.message : undefined
+		});
+		callback(err, result);
+	};
+};
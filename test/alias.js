@@ -1,4 +1,4 @@
-require("should");
+var should = require("should");
 var ResolverFactory = require("../lib/ResolverFactory");
 var { Volume } = require("memfs");
 
@@ -131,6 +131,7 @@ describe("alias", function() {
 					"            /a.node doesn't exist",
 					"        existing directory /a",
 					"          No description file found in /a or above",
+					"          No description file found in /a or above",
 					"          no extension",
 					"            /a/dir is not a file",
 					"          .js",
@@ -152,4 +153,325 @@ describe("alias", function() {
 			}
 		);
 	});
+
+	describe("wildcards", function() {
+		var wildcardResolver;
+
+		beforeEach(function() {
+			var fileSystem = Volume.fromJSON(
+				{
+					"/src/app/main.js": "",
+					"/src/app/nested/deep.js": "",
+					"/src/app/a$&b$'c$$.js": "",
+					"/src/special/thing.js": "",
+					"/src/svg-stub.js": "",
+					"/src/icons/logo.svg": "",
+					"/src/other.js": ""
+				},
+				"/"
+			);
+			wildcardResolver = ResolverFactory.createResolver({
+				alias: {
+					"@app/*": "/src/app/*",
+					"@app/special/*": "/src/special/*",
+					"*.svg": "/src/svg-stub.js",
+					"@multi/*": ["/missing/*", "/src/*"],
+					"@ignored/*": false
+				},
+				extensions: [".js"],
+				useSyncFileSystemCalls: true,
+				fileSystem: fileSystem
+			});
+		});
+
+		it("should put the captured segment into the target", function() {
+			wildcardResolver
+				.resolveSync({}, "/src", "@app/main")
+				.should.be.eql("/src/app/main.js");
+			wildcardResolver
+				.resolveSync({}, "/src", "@app/nested/deep")
+				.should.be.eql("/src/app/nested/deep.js");
+			wildcardResolver
+				.resolveSync({}, "/src", "@multi/other")
+				.should.be.eql("/src/other.js");
+		});
+
+		it("should keep $ in the captured segment", function() {
+			wildcardResolver
+				.resolveSync({}, "/src", "@app/a$&b$'c$$")
+				.should.be.eql("/src/app/a$&b$'c$$.js");
+		});
+
+		it("should match a suffix", function() {
+			wildcardResolver
+				.resolveSync({}, "/src", "./icons/logo.svg")
+				.should.be.eql("/src/svg-stub.js");
+			wildcardResolver
+				.resolveSync({}, "/src", "some-package/icon.svg")
+				.should.be.eql("/src/svg-stub.js");
+		});
+
+		it("should not match resolved paths", function() {
+			var fileSystem = Volume.fromJSON(
+				{
+					"/src/svg-stub.js": "",
+					"/src/icons/logo.svg": "",
+					"/src/node_modules/icons/package.json": JSON.stringify({
+						main: "logo.svg"
+					}),
+					"/src/node_modules/icons/logo.svg": ""
+				},
+				"/"
+			);
+			var svgResolver = ResolverFactory.createResolver({
+				alias: { "*.svg": "./svg-stub.js" },
+				extensions: [".js", ".svg"],
+				useSyncFileSystemCalls: true,
+				fileSystem: fileSystem
+			});
+			svgResolver
+				.resolveSync({}, "/src", "./icons/logo")
+				.should.be.eql("/src/icons/logo.svg");
+			svgResolver
+				.resolveSync({}, "/src", "icons")
+				.should.be.eql("/src/node_modules/icons/logo.svg");
+			svgResolver
+				.resolveSync({}, "/src", "./icons/logo.svg")
+				.should.be.eql("/src/svg-stub.js");
+		});
+
+		it("should prefer the most specific pattern", function() {
+			wildcardResolver
+				.resolveSync({}, "/src", "@app/special/thing")
+				.should.be.eql("/src/special/thing.js");
+		});
+
+		it("should ignore with false", function() {
+			wildcardResolver
+				.resolveSync({}, "/src", "@ignored/anything")
+				.should.be.eql(false);
+		});
+	});
+
+	describe("RegExp and functions", function() {
+		var fileSystem;
+
+		beforeEach(function() {
+			fileSystem = Volume.fromJSON(
+				{
+					"/tenants/acme/theme.js": "",
+					"/tenants/globex/theme.js": "",
+					"/src/default-theme.js": "",
+					"/src/lib/util.js": ""
+				},
+				"/"
+			);
+		});
+
+		function createResolver(alias, useSyncFileSystemCalls) {
+			return ResolverFactory.createResolver({
+				alias: alias,
+				extensions: [".js"],
+				useSyncFileSystemCalls: useSyncFileSystemCalls !== false,
+				fileSystem: fileSystem
+			});
+		}
+
+		it("should replace capture groups of a RegExp", function() {
+			var regExpResolver = createResolver([
+				{ name: /^tenant-(\w+)\/(.+)$/, alias: "/tenants/$1/$2" }
+			]);
+			regExpResolver
+				.resolveSync({}, "/src", "tenant-acme/theme")
+				.should.be.eql("/tenants/acme/theme.js");
+			regExpResolver
+				.resolveSync({}, "/src", "tenant-globex/theme")
+				.should.be.eql("/tenants/globex/theme.js");
+		});
+
+		it("should use the result of a function", function() {
+			var functionResolver = createResolver({
+				theme: function(request, resolveRequest) {
+					return resolveRequest.context.tenant
+						? "/tenants/" + resolveRequest.context.tenant + "/theme"
+						: ["/missing/theme", "/src/default-theme"];
+				},
+				util: function() {
+					return undefined;
+				},
+				ignored: function() {
+					return false;
+				}
+			});
+			functionResolver
+				.resolveSync({ tenant: "acme" }, "/src", "theme")
+				.should.be.eql("/tenants/acme/theme.js");
+			functionResolver
+				.resolveSync({}, "/src", "theme")
+				.should.be.eql("/src/default-theme.js");
+			functionResolver.resolveSync({}, "/src", "ignored").should.be.eql(false);
+			(function() {
+				functionResolver.resolveSync({}, "/src", "util");
+			}.should.throw(/Can't resolve 'util'/));
+		});
+
+		it("should pass the full request to a function", function() {
+			var requests = [];
+			createResolver([
+				{
+					name: /^lib\//,
+					alias: function(request) {
+						requests.push(request);
+						return "/src/" + request;
+					}
+				}
+			])
+				.resolveSync({}, "/src", "lib/util")
+				.should.be.eql("/src/lib/util.js");
+			requests.should.be.eql(["lib/util"]);
+		});
+
+		it("should wait for a promise", function(done) {
+			createResolver(
+				{
+					theme: function() {
+						return Promise.resolve("/tenants/globex/theme");
+					}
+				},
+				false
+			).resolve({}, "/src", "theme", {}, function(err, result) {
+				if (err) return done(err);
+				should(result).be.eql("/tenants/globex/theme.js");
+				done();
+			});
+		});
+
+		it("should report errors of a function", function(done) {
+			createResolver(
+				{
+					theme: function() {
+						return Promise.reject(new Error("no tenant"));
+					}
+				},
+				false
+			).resolve({}, "/src", "theme", {}, function(err) {
+				if (!err) return done(new Error("Resolving should fail"));
+				err.message.should.be.eql("no tenant");
+				done();
+			});
+		});
+
+		it("should reject invalid results of a function", function(done) {
+			var resolver = createResolver({
+				theme: function() {
+					return 42;
+				}
+			});
+			(function() {
+				resolver.resolveSync({}, "/src", "theme");
+			}.should.throw(/Alias function of mapping 'theme' returned 42/));
+			createResolver(
+				{
+					asyncTheme: function() {
+						return Promise.resolve({});
+					}
+				},
+				false
+			).resolve({}, "/src", "asyncTheme", {}, function(err) {
+				if (!err) return done(new Error("Resolving should fail"));
+				err.message.should.match(
+					/mapping 'asyncTheme' returned \[object Object\]/
+				);
+				done();
+			});
+		});
+
+		it("should not turn errors thrown by the resolving into rejections", function(done) {
+			// the sync file system runs the resolving in the promise callback
+			var resolver = createResolver({
+				theme: function() {
+					return Promise.resolve("/src/default-theme");
+				}
+			});
+			resolver.hooks.result.tapAsync("Throwing", function() {
+				throw new Error("thrown in the pipeline");
+			});
+			// mocha would fail the test for the uncaught exception
+			var uncaughtListeners = process.listeners("uncaughtException");
+			process.removeAllListeners("uncaughtException");
+			var rejected = false;
+			var onRejection = function() {
+				rejected = true;
+			};
+			process.on("unhandledRejection", onRejection);
+			process.once("uncaughtException", function(err) {
+				uncaughtListeners.forEach(function(listener) {
+					process.on("uncaughtException", listener);
+				});
+				setImmediate(function() {
+					process.removeListener("unhandledRejection", onRejection);
+					rejected.should.be.eql(false);
+					err.message.should.be.eql("thrown in the pipeline");
+					done();
+				});
+			});
+			resolver.resolve({}, "/src", "theme", {}, function() {});
+		});
+
+		it("should not match resolved paths", function() {
+			fileSystem.writeFileSync("/src/logo.svg", "");
+			fileSystem.writeFileSync("/src/svg-stub.js", "");
+			var calls = [];
+			var svgResolver = ResolverFactory.createResolver({
+				alias: [
+					{ name: /\.svg$/, alias: "./svg-stub.js" },
+					{
+						name: "/src/logo.svg",
+						alias: function(request) {
+							calls.push(request);
+							return "./svg-stub.js";
+						}
+					}
+				],
+				extensions: [".js", ".svg"],
+				useSyncFileSystemCalls: true,
+				fileSystem: fileSystem
+			});
+			svgResolver
+				.resolveSync({}, "/src", "./logo")
+				.should.be.eql("/src/logo.svg");
+			calls.should.be.eql([]);
+			svgResolver
+				.resolveSync({}, "/src", "./logo.svg")
+				.should.be.eql("/src/svg-stub.js");
+		});
+
+		it("should log the matched entry", function(done) {
+			var log = [];
+			createResolver({
+				theme: function() {
+					return "/src/default-theme";
+				}
+			}).resolve(
+				{},
+				"/src",
+				"theme",
+				{
+					log: function(line) {
+						log.push(line);
+					}
+				},
+				function(err) {
+					if (err) return done(err);
+					log.should.containEql(
+						"  alias function of mapping 'theme' returned \"/src/default-theme\""
+					);
+					log.should.containEql(
+						"  aliased with mapping 'theme': '/src/default-theme' to '/src/default-theme'"
+					);
+					done();
+				}
+			);
+		});
+	});
 });
@@ -0,0 +1,159 @@
+var should = require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("builtinModules", function() {
+	var fileSystem;
+
+	beforeEach(function() {
+		fileSystem = Volume.fromJSON(
+			{
+				"/a/node_modules/fs/index.js": "",
+				"/a/node_modules/my-builtin/index.js": "",
+				"/a/node_modules/lodash/index.js": "",
+				"/a/node_modules/crypto-browserify/index.js": ""
+			},
+			"/"
+		);
+	});
+
+	function createResolver(options) {
+		return ResolverFactory.createResolver({
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem,
+			...options
+		});
+	}
+
+	describe("external", function() {
+		it("should resolve builtin modules to themselves", function() {
+			var resolver = createResolver({ builtins: "external" });
+			resolver.resolveSync({}, "/a", "fs").should.be.eql("fs");
+			resolver.resolveSync({}, "/a", "node:fs").should.be.eql("node:fs");
+			resolver
+				.resolveSync({}, "/a", "fs/promises")
+				.should.be.eql("fs/promises");
+			resolver
+				.resolveSync({}, "/a", "lodash")
+				.should.be.eql("/a/node_modules/lodash/index.js");
+		});
+
+		it("should mark the request as builtin without touching the file system", function(done) {
+			var fileDependencies = new Set();
+			var missingDependencies = new Set();
+			createResolver({ builtins: "external" }).resolve(
+				{},
+				"/a",
+				"node:path",
+				{ fileDependencies, missingDependencies },
+				function(err, result, request) {
+					if (err) return done(err);
+					should(request).have.property("builtin", true);
+					fileDependencies.size.should.be.eql(0);
+					Array.from(missingDependencies).should.not.containEql(
+						"/a/node_modules"
+					);
+					done();
+				}
+			);
+		});
+
+		it("should use the builtinModules option", function() {
+			var resolver = createResolver({
+				builtins: "external",
+				builtinModules: ["my-builtin"]
+			});
+			resolver.resolveSync({}, "/a", "my-builtin").should.be.eql("my-builtin");
+			resolver
+				.resolveSync({}, "/a", "fs")
+				.should.be.eql("/a/node_modules/fs/index.js");
+		});
+
+		it("should pass builtin modules to the result hook and restrictions", function() {
+			var results = [];
+			var resolver = createResolver({
+				builtins: "external",
+				restrictions: [/^(?!child_process$)/],
+				plugins: [
+					{
+						apply: function(resolver) {
+							resolver.hooks.result.tap("Test", function(request) {
+								results.push(request.path);
+							});
+						}
+					}
+				]
+			});
+			resolver.resolveSync({}, "/a", "fs").should.be.eql("fs");
+			results.should.be.eql(["fs"]);
+			(function() {
+				resolver.resolveSync({}, "/a", "child_process");
+			}.should.throw(/Can't resolve 'child_process'/));
+		});
+
+		it("should apply aliases before", function() {
+			createResolver({
+				builtins: "external",
+				alias: { fs: "lodash" }
+			})
+				.resolveSync({}, "/a", "fs")
+				.should.be.eql("/a/node_modules/lodash/index.js");
+		});
+	});
+
+	describe("error", function() {
+		it("should fail with a targeted error", function() {
+			var resolver = createResolver({ builtins: "error" });
+			(function() {
+				resolver.resolveSync({}, "/a", "path");
+			}.should.throw(/'path' because it's a Node.js builtin module/));
+			(function() {
+				resolver.resolveSync({}, "/a", "node:test");
+			}.should.throw(/'node:test' because it's a Node.js builtin module/));
+		});
+
+		it("should have a code", function(done) {
+			createResolver({ builtins: "error" }).resolve(
+				{},
+				"/a",
+				"path",
+				{},
+				function(err) {
+					should(err).have.properties({
+						code: "BUILTIN_NOT_AVAILABLE",
+						request: "path",
+						path: "/a"
+					});
+					done();
+				}
+			);
+		});
+
+		it("should resolve installed polyfills", function() {
+			createResolver({ builtins: "error" })
+				.resolveSync({}, "/a", "fs")
+				.should.be.eql("/a/node_modules/fs/index.js");
+		});
+
+		it("should apply the fallback", function() {
+			var resolver = createResolver({
+				builtins: "error",
+				fallback: { crypto: "crypto-browserify" }
+			});
+			resolver
+				.resolveSync({}, "/a", "crypto")
+				.should.be.eql("/a/node_modules/crypto-browserify/index.js");
+			(function() {
+				resolver.resolveSync({}, "/a", "path");
+			}.should.throw(/'path' because it's a Node.js builtin module/));
+		});
+	});
+
+	describe("resolve", function() {
+		it("should resolve builtin modules like other modules by default", function() {
+			createResolver({})
+				.resolveSync({}, "/a", "fs")
+				.should.be.eql("/a/node_modules/fs/index.js");
+		});
+	});
+});
@@ -0,0 +1,98 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("byDependency", function() {
+	var fileSystem;
+	var options;
+
+	beforeEach(function() {
+		fileSystem = Volume.fromJSON(
+			{
+				"/a/file.js": "",
+				"/a/file.mjs": "",
+				"/a/logo.png": "",
+				"/a/node_modules/pkg/package.json": JSON.stringify({
+					exports: {
+						import: "./index.mjs",
+						require: "./index.cjs"
+					}
+				}),
+				"/a/node_modules/pkg/index.mjs": "",
+				"/a/node_modules/pkg/index.cjs": ""
+			},
+			"/"
+		);
+		options = {
+			extensions: [".js"],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem,
+			byDependency: {
+				esm: {
+					extensions: [".mjs", ".js"],
+					conditionNames: ["import"]
+				},
+				commonjs: {
+					conditionNames: ["require"]
+				},
+				url: {
+					preferRelative: true
+				}
+			}
+		};
+	});
+
+	it("should apply the overrides of the dependency type", function() {
+		ResolverFactory.createResolver(options, "esm")
+			.resolveSync({}, "/a", "./file")
+			.should.be.eql("/a/file.mjs");
+		ResolverFactory.createResolver(options, "esm")
+			.resolveSync({}, "/a", "pkg")
+			.should.be.eql("/a/node_modules/pkg/index.mjs");
+		ResolverFactory.createResolver(options, "commonjs")
+			.resolveSync({}, "/a", "pkg")
+			.should.be.eql("/a/node_modules/pkg/index.cjs");
+	});
+
+	it("should use the base options without dependency type", function() {
+		var resolver = ResolverFactory.createResolver(options);
+		resolver.resolveSync({}, "/a", "./file").should.be.eql("/a/file.js");
+		(function() {
+			resolver.resolveSync({}, "/a", "pkg");
+		}.should.throw(/is not exported/));
+	});
+
+	it("should keep options which are not overridden", function() {
+		var resolver = ResolverFactory.createResolver(options, "url");
+		resolver.resolveSync({}, "/a", "logo.png").should.be.eql("/a/logo.png");
+		resolver.resolveSync({}, "/a", "./file").should.be.eql("/a/file.js");
+	});
+
+	describe("createResolvers", function() {
+		it("should create each resolver once", function() {
+			var getResolver = ResolverFactory.createResolvers(options);
+			getResolver("esm").should.be.equal(getResolver("esm"));
+			getResolver("esm").should.not.be.equal(getResolver("commonjs"));
+			getResolver("esm")
+				.resolveSync({}, "/a", "./file")
+				.should.be.eql("/a/file.mjs");
+		});
+
+		it("should share the default resolver for unknown types", function() {
+			var getResolver = ResolverFactory.createResolvers(options);
+			getResolver("worker").should.be.equal(getResolver());
+			getResolver("worker")
+				.resolveSync({}, "/a", "./file")
+				.should.be.eql("/a/file.js");
+		});
+
+		it("should share the file system", function() {
+			var getResolver = ResolverFactory.createResolvers({
+				...options,
+				useSyncFileSystemCalls: false
+			});
+			getResolver("esm").fileSystem.should.be.equal(fileSystem);
+			getResolver("commonjs").fileSystem.should.be.equal(fileSystem);
+		});
+	});
+});
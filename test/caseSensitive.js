@@ -0,0 +1,143 @@
+var should = require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var CaseInsensitiveFileSystem = require("../lib/CaseInsensitiveFileSystem");
+var { Volume } = require("memfs");
+
+describe("caseSensitive", function() {
+	var fileSystem;
+
+	beforeEach(function() {
+		fileSystem = new CaseInsensitiveFileSystem(
+			Volume.fromJSON(
+				{
+					"/app/src/button.js": "",
+					"/app/src/Components/index.js": "",
+					"/app/node_modules/lodash/index.js": ""
+				},
+				"/"
+			)
+		);
+	});
+
+	function createResolver(options) {
+		return ResolverFactory.createResolver(
+			Object.assign(
+				{
+					extensions: [".js"],
+					useSyncFileSystemCalls: true,
+					fileSystem: fileSystem
+				},
+				options
+			)
+		);
+	}
+
+	describe("CaseInsensitiveFileSystem", function() {
+		it("should match paths case-insensitively", function() {
+			fileSystem
+				.statSync("/APP/Src/Button.js")
+				.isFile()
+				.should.be.true();
+			fileSystem.readdirSync("/app/src/components").should.be.eql(["index.js"]);
+			fileSystem
+				.readdirSync("/app/src")
+				.should.be.eql(["Components", "button.js"]);
+		});
+
+		it("should match paths case-insensitively in async calls", function(done) {
+			fileSystem.stat("/app/SRC/components", function(err, stat) {
+				if (err) return done(err);
+				stat.isDirectory().should.be.true();
+				fileSystem.readFile("/app/src/missing.js", function(err) {
+					should(err).have.property("code", "ENOENT");
+					done();
+				});
+			});
+		});
+	});
+
+	it("should resolve mismatching paths by default", function() {
+		createResolver({})
+			.resolveSync({}, "/app/src", "./Button")
+			.should.be.eql("/app/src/Button.js");
+	});
+
+	it("should fail on a mismatching file", function() {
+		var resolver = createResolver({ caseSensitive: "enforce" });
+		var err;
+		try {
+			resolver.resolveSync({}, "/app/src", "./Button");
+		} catch (e) {
+			err = e;
+		}
+		should(err).have.property("code", "CASE_MISMATCH");
+		should(err).have.property("request", "./Button");
+		should(err).have.property("path", "/app/src");
+		should(err.message).match(/'Button\.js' is 'button\.js'/);
+	});
+
+	it("should fail on a mismatching directory", function() {
+		var resolver = createResolver({ caseSensitive: "enforce" });
+		(function() {
+			resolver.resolveSync({}, "/app/src", "./components");
+		}.should.throw(/'components' is 'Components'/));
+		(function() {
+			resolver.resolveSync({}, "/app/src", "Lodash");
+		}.should.throw(/'Lodash' is 'lodash'/));
+	});
+
+	it("should resolve matching paths", function() {
+		var resolver = createResolver({ caseSensitive: "enforce" });
+		resolver
+			.resolveSync({}, "/app/src", "./button")
+			.should.be.eql("/app/src/button.js");
+		resolver
+			.resolveSync({}, "/app/src", "./Components")
+			.should.be.eql("/app/src/Components/index.js");
+		resolver
+			.resolveSync({}, "/app/src", "lodash")
+			.should.be.eql("/app/node_modules/lodash/index.js");
+	});
+
+	it("should only check the path below the context", function() {
+		var resolver = createResolver({ caseSensitive: "enforce" });
+		resolver
+			.resolveSync({}, "/APP/Src", "./button")
+			.should.be.eql("/APP/Src/button.js");
+		resolver
+			.resolveSync({}, "/APP/Src/Components", "../button")
+			.should.be.eql("/APP/Src/button.js");
+		(function() {
+			resolver.resolveSync({}, "/APP/Src", "./Button");
+		}.should.throw(/'Button\.js' is 'button\.js'/));
+		(function() {
+			resolver.resolveSync({}, "/APP/Src/Components", "../../SRC/button");
+		}.should.throw(/'SRC' is 'src'/));
+	});
+
+	it("should check directories when resolving to a context", function() {
+		(function() {
+			createResolver({
+				caseSensitive: "enforce",
+				resolveToContext: true
+			}).resolveSync({}, "/app/src", "./components");
+		}.should.throw(/'components' is 'Components'/));
+	});
+
+	it("should add a warning on a mismatch", function(done) {
+		var warnings = new Set();
+		createResolver({ caseSensitive: "warn" }).resolve(
+			{},
+			"/app/src",
+			"./Button",
+			{ warnings },
+			function(err, result) {
+				if (err) return done(err);
+				should(result).be.eql("/app/src/Button.js");
+				var warning = Array.from(warnings)[0];
+				should(warning).have.property("code", "CASE_MISMATCH");
+				done();
+			}
+		);
+	});
+});
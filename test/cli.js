@@ -0,0 +1,332 @@
+var should = require("should");
+var path = require("path");
+var { PassThrough } = require("stream");
+var { Volume } = require("memfs");
+var cli = require("../lib/cli");
+
+describe("cli", function() {
+	var fileSystem;
+
+	beforeEach(function() {
+		fileSystem = Volume.fromJSON(
+			{
+				"/a/index.js": "",
+				"/a/src/util.ts": "",
+				"/a/resolve.json": JSON.stringify({ extensions: [".ts", ".js"] }),
+				"/a/tsconfig.json": JSON.stringify({
+					compilerOptions: { paths: { "@src/*": ["./src/*"] } }
+				}),
+				"/a/import-map.json": JSON.stringify({
+					imports: { util: "./src/util.ts" }
+				}),
+				"/a/node_modules/m1/package.json": JSON.stringify({ main: "main.js" }),
+				"/a/node_modules/m1/main.js": ""
+			},
+			"/"
+		);
+	});
+
+	function run(args, input, callback) {
+		var stdin = new PassThrough();
+		var stdout = "";
+		var stderr = "";
+		cli(
+			args,
+			{
+				stdin: stdin,
+				stdout: {
+					write: function(str) {
+						stdout += str;
+					}
+				},
+				stderr: {
+					write: function(str) {
+						stderr += str;
+					}
+				},
+				cwd: "/a",
+				fileSystem: fileSystem
+			},
+			function(exitCode) {
+				callback(exitCode, stdout, stderr);
+			}
+		);
+		stdin.end(input);
+	}
+
+	function parseLines(output) {
+		return output
+			.trim()
+			.split("\n")
+			.map(function(line) {
+				return JSON.parse(line);
+			});
+	}
+
+	it("should print the resolved paths with metadata", function(done) {
+		run(["/a", "m1", "./index.js"], "", function(exitCode, stdout, stderr) {
+			exitCode.should.be.eql(0);
+			stderr.should.be.eql("");
+			var lines = stdout.split("\n");
+			lines[0].should.be.eql("/a/node_modules/m1/main.js");
+			stdout.should.containEql(
+				"  descriptionFilePath: /a/node_modules/m1/package.json\n"
+			);
+			stdout.should.containEql("  relativePath: ./main.js\n");
+			stdout.should.containEql("\n/a/index.js\n");
+			done();
+		});
+	});
+
+	it("should print the log of failed requests", function(done) {
+		run([".", "./missing.js"], "", function(exitCode, stdout, stderr) {
+			exitCode.should.be.eql(1);
+			stdout.should.be.eql("");
+			stderr.should.containEql("Can't resolve './missing.js' in '/a'");
+			stderr.should.containEql("/a/missing.js doesn't exist");
+			done();
+		});
+	});
+
+	it("should take resolve options from flags", function(done) {
+		run(["--extensions", ".ts", "--json", "src", "./util"], "", function(
+			exitCode,
+			stdout
+		) {
+			exitCode.should.be.eql(0);
+			parseLines(stdout).should.be.eql([
+				{ context: "/a/src", request: "./util", path: "/a/src/util.ts" }
+			]);
+			done();
+		});
+	});
+
+	it("should take resolve options from a config file", function(done) {
+		run(
+			["--config", "resolve.json", "--json", "/a", "./src/util", "./index"],
+			"",
+			function(exitCode, stdout) {
+				exitCode.should.be.eql(0);
+				parseLines(stdout)
+					.map(function(line) {
+						return line.path;
+					})
+					.should.be.eql(["/a/src/util.ts", "/a/index.js"]);
+				done();
+			}
+		);
+	});
+
+	it("should prefer flags over the config file", function(done) {
+		run(
+			["--config=resolve.json", "--extensions=.js", "/a", "./src/util"],
+			"",
+			function(exitCode, stdout, stderr) {
+				exitCode.should.be.eql(1);
+				stderr.should.containEql("/a/src/util.js doesn't exist");
+				stderr.should.not.containEql("util.ts doesn't exist");
+				done();
+			}
+		);
+	});
+
+	it("should load JS config files", function(done) {
+		run(
+			[
+				"--config",
+				path.resolve(__dirname, "fixtures/cli-config.js"),
+				"--json",
+				"/a",
+				"alias-m1"
+			],
+			"",
+			function(exitCode, stdout) {
+				exitCode.should.be.eql(0);
+				parseLines(stdout)[0].path.should.be.eql("/a/node_modules/m1/main.js");
+				done();
+			}
+		);
+	});
+
+	it("should print structured errors as JSON", function(done) {
+		run(["--json", "--extensions", ".js", "/a", "./missing"], "", function(
+			exitCode,
+			stdout
+		) {
+			exitCode.should.be.eql(1);
+			var error = parseLines(stdout)[0].error;
+			error.should.have.properties({
+				code: "MODULE_NOT_FOUND",
+				candidates: ["/a/missing", "/a/missing.js"]
+			});
+			error.details.should.containEql("/a/missing doesn't exist");
+			done();
+		});
+	});
+
+	it("should resolve JSON lines from stdin in batch mode", function(done) {
+		run(
+			["--batch", "--extensions", ".js"],
+			[
+				JSON.stringify({ context: "/a", request: "m1" }),
+				JSON.stringify({ context: "src", request: "../index" }),
+				"",
+				JSON.stringify({ context: "/a", request: "./missing" }),
+				"no json",
+				JSON.stringify({ request: "m1" })
+			].join("\n"),
+			function(exitCode, stdout, stderr) {
+				exitCode.should.be.eql(1);
+				stderr.should.be.eql("");
+				var lines = parseLines(stdout);
+				lines.length.should.be.eql(5);
+				lines[0].should.be.eql({
+					context: "/a",
+					request: "m1",
+					path: "/a/node_modules/m1/main.js",
+					descriptionFilePath: "/a/node_modules/m1/package.json",
+					descriptionFileRoot: "/a/node_modules/m1",
+					relativePath: "./main.js"
+				});
+				lines[1].should.have.properties({
+					context: "src",
+					request: "../index",
+					path: "/a/index.js"
+				});
+				lines[2].should.be.eql({
+					context: "/a",
+					request: "./missing",
+					error: {
+						message: "Can't resolve './missing' in '/a'",
+						code: "MODULE_NOT_FOUND",
+						candidates: ["/a/missing", "/a/missing.js"],
+						suggestions: []
+					}
+				});
+				lines[3].should.have.property("input", "no json");
+				lines[4].error.message.should.containEql("'context' and 'request'");
+				done();
+			}
+		);
+	});
+
+	it("should resolve many lines with sync file system calls", function(done) {
+		var input = [];
+		for (var i = 0; i < 3000; i++) {
+			input.push(
+				JSON.stringify({
+					context: "/a",
+					request: i % 100 === 99 ? "./missing" : "m1"
+				})
+			);
+		}
+		run(
+			["--batch", "--use-sync-file-system-calls", "--unsafe-cache"],
+			input.join("\n"),
+			function(exitCode, stdout) {
+				exitCode.should.be.eql(1);
+				var lines = parseLines(stdout);
+				lines.length.should.be.eql(3000);
+				lines[2998].path.should.be.eql("/a/node_modules/m1/main.js");
+				lines[2999].error.code.should.be.eql("MODULE_NOT_FOUND");
+				done();
+			}
+		);
+	});
+
+	it("should not take the next argument as value of boolean options", function(done) {
+		run(["--unsafe-cache", "--json", "/a", "--tsconfig", "m1"], "", function(
+			exitCode,
+			stdout,
+			stderr
+		) {
+			stderr.should.be.eql("");
+			exitCode.should.be.eql(0);
+			parseLines(stdout)[0].path.should.be.eql("/a/node_modules/m1/main.js");
+			done();
+		});
+	});
+
+	it("should resolve the tsconfig and import map in the working directory", function(done) {
+		run(
+			["--tsconfig", "--extensions", ".ts", "--json", ".", "@src/util"],
+			"",
+			function(exitCode, stdout, stderr) {
+				stderr.should.be.eql("");
+				exitCode.should.be.eql(0);
+				parseLines(stdout)[0].path.should.be.eql("/a/src/util.ts");
+				run(
+					[
+						"--tsconfig=tsconfig.json",
+						"--import-map",
+						"import-map.json",
+						"--extensions",
+						".ts",
+						"--json",
+						".",
+						"@src/util",
+						"util"
+					],
+					"",
+					function(exitCode, stdout, stderr) {
+						stderr.should.be.eql("");
+						exitCode.should.be.eql(0);
+						parseLines(stdout)
+							.map(function(line) {
+								return line.path;
+							})
+							.should.be.eql(["/a/src/util.ts", "/a/src/util.ts"]);
+						done();
+					}
+				);
+			}
+		);
+	});
+
+	it("should print the profile", function(done) {
+		run(["--profile", "/a", "m1"], "", function(exitCode, stdout, stderr) {
+			exitCode.should.be.eql(0);
+			stdout.should.startWith("/a/node_modules/m1/main.js\n");
+			stderr.should.startWith("Profile of the hooks:\n");
+			stderr.should.match(/^ {2}resolve: 1 calls, [\d.]+ ms, [\d.]+ ms self$/m);
+			stderr.should.containEql("Profile of the plugins:\n");
+			stderr.should.match(/^ {2}DescriptionFilePlugin: \d+ calls/m);
+			run(["--profile", "--json", "/a", "m1"], "", function(
+				exitCode,
+				stdout,
+				stderr
+			) {
+				exitCode.should.be.eql(0);
+				parseLines(stdout)[0].path.should.be.eql("/a/node_modules/m1/main.js");
+				var profile = parseLines(stderr)[0].profile;
+				profile.hooks.should.containDeep([{ name: "resolve", calls: 1 }]);
+				profile.plugins.length.should.be.above(0);
+				done();
+			});
+		});
+	});
+
+	it("should print the usage", function(done) {
+		run(["/a"], "", function(exitCode, stdout, stderr) {
+			exitCode.should.be.eql(2);
+			stderr.should.containEql("Usage: enhanced-resolve");
+			run(["--help"], "", function(exitCode, stdout) {
+				exitCode.should.be.eql(0);
+				stdout.should.containEql("Usage: enhanced-resolve");
+				done();
+			});
+		});
+	});
+
+	it("should report invalid options", function(done) {
+		run(["--config", "missing.json", "/a", "m1"], "", function(
+			exitCode,
+			stdout,
+			stderr
+		) {
+			exitCode.should.be.eql(2);
+			should(stderr).not.be.empty();
+			done();
+		});
+	});
+});
@@ -0,0 +1,148 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("errors", function() {
+	var resolver;
+
+	beforeEach(function() {
+		var fileSystem = Volume.fromJSON(
+			{
+				"/a/file.js": "",
+				"/a/node_modules/pkg/package.json": JSON.stringify({
+					name: "pkg",
+					main: "./missing.js"
+				}),
+				"/a/node_modules/exported/package.json": JSON.stringify({
+					name: "exported",
+					exports: { ".": "./index.js" },
+					imports: { "#internal": "./internal.js" }
+				}),
+				"/a/node_modules/exported/index.js": "",
+				"/a/node_modules/@scope/other/index.js": ""
+			},
+			"/"
+		);
+		resolver = ResolverFactory.createResolver({
+			extensions: [".js"],
+			alias: { loop1: "loop2", loop2: "loop1" },
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+	});
+
+	function getError(request, context) {
+		try {
+			resolver.resolveSync({}, context || "/a", request);
+		} catch (e) {
+			return e;
+		}
+		throw new Error("Resolving should fail");
+	}
+
+	it("should report a missing module", function() {
+		var err = getError("./missing");
+		err.should.have.property("code", "MODULE_NOT_FOUND");
+		err.should.have.property("request", "./missing");
+		err.should.have.property("path", "/a");
+		err.should.not.have.property("packageName");
+		err.candidates.should.be.eql(["/a/missing", "/a/missing.js"]);
+		err.details.should.be.type("string");
+	});
+
+	it("should report a missing file in a package", function() {
+		var err = getError("pkg");
+		err.should.have.property("code", "MODULE_NOT_FOUND");
+		err.candidates.should.containEql("/a/node_modules/pkg/missing.js");
+		err.candidates.should.containEql("/a/node_modules/pkg/index.js");
+	});
+
+	it("should report a missing package", function() {
+		var err = getError("not-installed/file");
+		err.should.have.property("code", "PACKAGE_NOT_FOUND");
+		err.should.have.property("packageName", "not-installed");
+		err.candidates.should.be.eql([
+			"/a/node_modules/not-installed",
+			"/a/node_modules/not-installed.js"
+		]);
+		getError("@scope/missing").should.have.property(
+			"packageName",
+			"@scope/missing"
+		);
+	});
+
+	it("should only look for the package in modules directories", function() {
+		var fileSystem = Volume.fromJSON(
+			{
+				"/work/react/app/index.js": "",
+				"/work/modules/other/index.js": ""
+			},
+			"/"
+		);
+		var preferRelativeResolver = ResolverFactory.createResolver({
+			extensions: [".js"],
+			modules: ["node_modules", "/work/modules"],
+			preferRelative: true,
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+		var err;
+		try {
+			preferRelativeResolver.resolveSync({}, "/work/react/app", "react");
+		} catch (e) {
+			err = e;
+		}
+		err.should.have.property("code", "PACKAGE_NOT_FOUND");
+		err.should.have.property("packageName", "react");
+		err.candidates.should.containEql("/work/react/app/react.js");
+		try {
+			preferRelativeResolver.resolveSync(
+				{},
+				"/work/react/app",
+				"other/missing"
+			);
+		} catch (e) {
+			err = e;
+		}
+		err.should.have.property("code", "MODULE_NOT_FOUND");
+	});
+
+	it("should not report a package for requests with a scheme", function() {
+		var err = getError("virtual:foo");
+		err.should.have.property("code", "MODULE_NOT_FOUND");
+		err.should.not.have.property("packageName");
+		var restrictedResolver = ResolverFactory.createResolver({
+			restrictions: [/\.js$/],
+			fileSystem: resolver.fileSystem
+		});
+		try {
+			restrictedResolver.resolveSync({}, "/a", "data:text/plain,a");
+		} catch (e) {
+			err = e;
+		}
+		err.should.have.property("code", "MODULE_NOT_FOUND");
+		err.should.have.property("request", "data:text/plain,a");
+		err.should.not.have.property("packageName");
+	});
+
+	it("should report a path which is not exported", function() {
+		var err = getError("exported/other");
+		err.should.have.property("code", "PACKAGE_PATH_NOT_EXPORTED");
+		err.should.have.property("request", "exported/other");
+		err.should.have.property("path", "/a");
+	});
+
+	it("should report an import which is not defined", function() {
+		getError("#other", "/a/node_modules/exported").should.have.property(
+			"code",
+			"PACKAGE_IMPORT_NOT_DEFINED"
+		);
+	});
+
+	it("should report recursion", function() {
+		var err = getError("loop1");
+		err.should.have.property("code", "RECURSION");
+		err.should.have.property("recursion", true);
+		err.should.have.property("request", "loop1");
+	});
+});
@@ -0,0 +1,182 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { processExportsField } = require("../lib/entrypoints");
+var { Volume } = require("memfs");
+
+describe("exportsField", function() {
+	var fileSystem;
+
+	beforeEach(function() {
+		fileSystem = Volume.fromJSON(
+			{
+				"/node_modules/exports-field/package.json": JSON.stringify({
+					name: "exports-field",
+					main: "./main.js",
+					exports: {
+						".": {
+							browser: "./dist/browser.js",
+							import: {
+								browser: "./dist/esm.browser.mjs",
+								default: "./dist/esm.mjs"
+							},
+							default: "./main.js"
+						},
+						"./features/*": "./src/features/*.js",
+						"./features/internal/*": null,
+						"./fallback": [{ worker: "./worker.js" }, "./fallback.js"],
+						"./package.json": "./package.json",
+						"./outside": "./../outside.js"
+					}
+				}),
+				"/node_modules/exports-field/main.js": "",
+				"/node_modules/exports-field/dist/browser.js": "",
+				"/node_modules/exports-field/dist/esm.browser.mjs": "",
+				"/node_modules/exports-field/dist/esm.mjs": "",
+				"/node_modules/exports-field/src/features/a.js": "",
+				"/node_modules/exports-field/src/features/b/c.js": "",
+				"/node_modules/exports-field/src/features/internal/x.js": "",
+				"/node_modules/exports-field/fallback.js": "",
+				"/node_modules/exports-field/worker.js": "",
+				"/node_modules/exports-field/lib/hidden.js": "",
+				"/node_modules/sugar/package.json": JSON.stringify({
+					exports: "./index.js"
+				}),
+				"/node_modules/sugar/index.js": "",
+				"/node_modules/no-exports/package.json": JSON.stringify({
+					main: "./main.js"
+				}),
+				"/node_modules/no-exports/main.js": "",
+				"/node_modules/no-exports/lib/file.js": ""
+			},
+			"/"
+		);
+	});
+
+	function createResolver(conditionNames, options) {
+		return ResolverFactory.createResolver({
+			conditionNames: conditionNames,
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem,
+			...options
+		});
+	}
+
+	it("should use the default condition", function() {
+		createResolver([])
+			.resolveSync({}, "/", "exports-field")
+			.should.be.eql("/node_modules/exports-field/main.js");
+	});
+
+	it("should pick the first matching condition", function() {
+		createResolver(["browser"])
+			.resolveSync({}, "/", "exports-field")
+			.should.be.eql("/node_modules/exports-field/dist/browser.js");
+		createResolver(["import", "browser"])
+			.resolveSync({}, "/", "exports-field")
+			.should.be.eql("/node_modules/exports-field/dist/browser.js");
+	});
+
+	it("should resolve nested conditions", function() {
+		createResolver(["import"])
+			.resolveSync({}, "/", "exports-field")
+			.should.be.eql("/node_modules/exports-field/dist/esm.mjs");
+	});
+
+	it("should resolve subpath patterns", function() {
+		var resolver = createResolver([]);
+		resolver
+			.resolveSync({}, "/", "exports-field/features/a")
+			.should.be.eql("/node_modules/exports-field/src/features/a.js");
+		resolver
+			.resolveSync({}, "/", "exports-field/features/b/c")
+			.should.be.eql("/node_modules/exports-field/src/features/b/c.js");
+	});
+
+	it("should keep the query", function() {
+		createResolver([])
+			.resolveSync({}, "/", "exports-field/features/a?query")
+			.should.be.eql("/node_modules/exports-field/src/features/a.js?query");
+	});
+
+	it("should block subpaths mapped to null", function() {
+		(function() {
+			createResolver([]).resolveSync(
+				{},
+				"/",
+				"exports-field/features/internal/x"
+			);
+		}.should.throw(/is not exported/));
+	});
+
+	it("should block subpaths that aren't exported", function() {
+		(function() {
+			createResolver([]).resolveSync({}, "/", "exports-field/lib/hidden.js");
+		}.should.throw(/Package path \.\/lib\/hidden\.js is not exported/));
+	});
+
+	it("should try array fallbacks in order", function() {
+		createResolver([])
+			.resolveSync({}, "/", "exports-field/fallback")
+			.should.be.eql("/node_modules/exports-field/fallback.js");
+		createResolver(["worker"])
+			.resolveSync({}, "/", "exports-field/fallback")
+			.should.be.eql("/node_modules/exports-field/worker.js");
+	});
+
+	it("should not allow targets outside of the package", function() {
+		(function() {
+			createResolver([]).resolveSync({}, "/", "exports-field/outside");
+		}.should.throw(/out of package scope/));
+	});
+
+	it("should support the string syntax sugar", function() {
+		createResolver([])
+			.resolveSync({}, "/", "sugar")
+			.should.be.eql("/node_modules/sugar/index.js");
+	});
+
+	it("should not affect packages without exports field", function() {
+		var resolver = createResolver([]);
+		resolver
+			.resolveSync({}, "/", "no-exports")
+			.should.be.eql("/node_modules/no-exports/main.js");
+		resolver
+			.resolveSync({}, "/", "no-exports/lib/file")
+			.should.be.eql("/node_modules/no-exports/lib/file.js");
+	});
+
+	it("should ignore the exports field when disabled", function() {
+		createResolver([], { exportsFields: [] })
+			.resolveSync({}, "/", "exports-field/lib/hidden.js")
+			.should.be.eql("/node_modules/exports-field/lib/hidden.js");
+	});
+
+	describe("processExportsField", function() {
+		it("should prefer the more specific pattern", function() {
+			var processor = processExportsField({
+				"./*": "./all/*.js",
+				"./a/*": "./a/*.js",
+				"./a/b": "./b.js"
+			});
+			var conditions = new Set();
+			processor("./a/b", conditions).should.be.eql(["./b.js"]);
+			processor("./a/c", conditions).should.be.eql(["./a/c.js"]);
+			processor("./c", conditions).should.be.eql(["./all/c.js"]);
+		});
+
+		it("should throw when default isn't the last condition", function() {
+			var processor = processExportsField({
+				".": { default: "./a.js", node: "./b.js" }
+			});
+			(function() {
+				processor(".", new Set());
+			}.should.throw(/Default condition should be last one/));
+		});
+
+		it("should throw on invalid keys", function() {
+			(function() {
+				processExportsField({ ".": "./a.js", a: "./b.js" });
+			}.should.throw(/Exports field key should be relative path/));
+		});
+	});
+});
@@ -0,0 +1,92 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("extensionAlias", function() {
+	var resolver;
+
+	beforeEach(function() {
+		var fileSystem = Volume.fromJSON(
+			{
+				"/src/index.ts": "",
+				"/src/plain.js": "",
+				"/src/both.ts": "",
+				"/src/both.js": "",
+				"/src/style.css": "",
+				"/src/dir/index.ts": "",
+				"/src/mts.mts": "",
+				"/src/node_modules/pkg/lib/index.js": ""
+			},
+			"/"
+		);
+		resolver = ResolverFactory.createResolver({
+			extensions: [".ts", ".js"],
+			extensionAlias: {
+				".js": [".ts", ".js"],
+				".mjs": ".mts"
+			},
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+	});
+
+	it("should resolve the aliased extension", function() {
+		resolver
+			.resolveSync({}, "/src", "./index.js")
+			.should.be.eql("/src/index.ts");
+		resolver.resolveSync({}, "/src", "./mts.mjs").should.be.eql("/src/mts.mts");
+		resolver
+			.resolveSync({}, "/src", "./dir/index.js")
+			.should.be.eql("/src/dir/index.ts");
+	});
+
+	it("should try the aliases in order", function() {
+		resolver.resolveSync({}, "/src", "./both.js").should.be.eql("/src/both.ts");
+		resolver
+			.resolveSync({}, "/src", "./plain.js")
+			.should.be.eql("/src/plain.js");
+		resolver
+			.resolveSync({}, "/src", "pkg/lib/index.js")
+			.should.be.eql("/src/node_modules/pkg/lib/index.js");
+	});
+
+	it("should not affect other extensions", function() {
+		resolver
+			.resolveSync({}, "/src", "./style.css")
+			.should.be.eql("/src/style.css");
+		resolver.resolveSync({}, "/src", "./index").should.be.eql("/src/index.ts");
+	});
+
+	it("should work with fullySpecified", function() {
+		var fileSystem = Volume.fromJSON({ "/src/index.ts": "" }, "/");
+		ResolverFactory.createResolver({
+			extensionAlias: { ".js": [".ts", ".js"] },
+			fullySpecified: true,
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		})
+			.resolveSync({}, "/src", "./index.js")
+			.should.be.eql("/src/index.ts");
+	});
+
+	it("should report missing dependencies of all aliases", function(done) {
+		var missingDependencies = new Set();
+		resolver.resolve(
+			{},
+			"/src",
+			"./missing.mjs",
+			{ missingDependencies },
+			function(err) {
+				if (!err) return done(new Error("Resolving should fail"));
+				Array.from(missingDependencies).should.containEql("/src/missing.mts");
+				Array.from(missingDependencies).should.not.containEql(
+					"/src/missing.mjs.ts"
+				);
+				Array.from(missingDependencies).should.not.containEql(
+					"/src/missing.mjs.js"
+				);
+				done();
+			}
+		);
+	});
+});
@@ -0,0 +1,69 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("fallback", function() {
+	var resolver;
+
+	beforeEach(function() {
+		var fileSystem = Volume.fromJSON(
+			{
+				"/a/index": "",
+				"/a/dir/index": "",
+				"/b/index": "",
+				"/c/index": "",
+				"/polyfills/crypto.js": "",
+				"/app/node_modules/crypto/index.js": "",
+				"/app/node_modules/exists/index.js": ""
+			},
+			"/"
+		);
+		resolver = ResolverFactory.createResolver({
+			fallback: {
+				crypto: "/polyfills/crypto.js",
+				aliasA: "a",
+				exists: "b",
+				multiAlias: ["missing", "c", "a"],
+				ignored: false
+			},
+			modules: ["node_modules", "/"],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+	});
+
+	it("should prefer the installed package", function() {
+		resolver
+			.resolveSync({}, "/app", "crypto")
+			.should.be.eql("/app/node_modules/crypto/index.js");
+		resolver
+			.resolveSync({}, "/app", "exists")
+			.should.be.eql("/app/node_modules/exists/index.js");
+	});
+
+	it("should use the fallback when the module is missing", function() {
+		resolver
+			.resolveSync({}, "/", "crypto")
+			.should.be.eql("/polyfills/crypto.js");
+		resolver.resolveSync({}, "/", "exists").should.be.eql("/b/index");
+	});
+
+	it("should resolve a path in a fallback module", function() {
+		resolver.resolveSync({}, "/", "aliasA").should.be.eql("/a/index");
+		resolver.resolveSync({}, "/", "aliasA/dir").should.be.eql("/a/dir/index");
+	});
+
+	it("should try multiple candidates in order", function() {
+		resolver.resolveSync({}, "/", "multiAlias").should.be.eql("/c/index");
+	});
+
+	it("should resolve an ignored module", function() {
+		resolver.resolveSync({}, "/", "ignored").should.be.eql(false);
+	});
+
+	it("should fail when neither the module nor a fallback exist", function() {
+		(function() {
+			resolver.resolveSync({}, "/", "unknown");
+		}.should.throw(/Can't resolve 'unknown'/));
+	});
+});
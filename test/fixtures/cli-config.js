@@ -0,0 +1,5 @@
+module.exports = {
+	alias: {
+		"alias-m1": "m1"
+	}
+};
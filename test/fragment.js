@@ -0,0 +1,97 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("fragment", function() {
+	var resolver;
+
+	beforeEach(function() {
+		var fileSystem = Volume.fromJSON(
+			{
+				"/a/icons.svg": "",
+				"/a/file.js": "",
+				"/a/#hash.js": "",
+				"/a/with#hash.js": "",
+				"/a/with?query.js": "",
+				"/a/dir#name/index.js": "",
+				"/a/node_modules/pkg/index.js": ""
+			},
+			"/"
+		);
+		resolver = ResolverFactory.createResolver({
+			extensions: [".js"],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+	});
+
+	it("should keep the fragment of a request", function() {
+		resolver
+			.resolveSync({}, "/a", "./icons.svg#arrow")
+			.should.be.eql("/a/icons.svg#arrow");
+		resolver
+			.resolveSync({}, "/a", "./file#hash")
+			.should.be.eql("/a/file.js#hash");
+		resolver
+			.resolveSync({}, "/a", "pkg#hash")
+			.should.be.eql("/a/node_modules/pkg/index.js#hash");
+	});
+
+	it("should keep query and fragment", function() {
+		resolver
+			.resolveSync({}, "/a", "./icons.svg?inline#arrow")
+			.should.be.eql("/a/icons.svg?inline#arrow");
+		resolver
+			.resolveSync({}, "/a", "./file?query#hash")
+			.should.be.eql("/a/file.js?query#hash");
+	});
+
+	it("should report the fragment in the request object", function(done) {
+		resolver.resolve({}, "/a", "./icons.svg?inline#arrow", {}, function(
+			err,
+			result,
+			request
+		) {
+			if (err) return done(err);
+			if (!request) return done(new Error("No request"));
+			request.should.have.property("path", "/a/icons.svg");
+			request.should.have.property("query", "?inline");
+			request.should.have.property("fragment", "#arrow");
+			done();
+		});
+	});
+
+	it("should allow to escape # and ? with \\0", function() {
+		resolver
+			.resolveSync({}, "/a", "./with\0#hash")
+			.should.be.eql("/a/with#hash.js");
+		resolver
+			.resolveSync({}, "/a", "./with\0?query")
+			.should.be.eql("/a/with?query.js");
+		resolver
+			.resolveSync({}, "/a", "./with\0#hash.js#frag")
+			.should.be.eql("/a/with#hash.js#frag");
+	});
+
+	it("should fall back to # as part of the path", function() {
+		resolver
+			.resolveSync({}, "/a", "./with#hash")
+			.should.be.eql("/a/with#hash.js");
+		resolver
+			.resolveSync({}, "/a", "./dir#name/")
+			.should.be.eql("/a/dir#name/index.js");
+		resolver
+			.resolveSync({}, "/a", "./with#hash?x")
+			.should.be.eql("/a/with#hash.js?x");
+		resolver
+			.resolveSync({}, "/a", "./with#hash?x#frag")
+			.should.be.eql("/a/with#hash.js?x#frag");
+		resolver
+			.resolveSync({}, "/a", "./with\0?query#hash")
+			.should.be.eql("/a/with?query.js#hash");
+	});
+
+	it("should resolve requests starting with #", function() {
+		resolver.resolveSync({}, "/a", "./#hash").should.be.eql("/a/#hash.js");
+	});
+});
@@ -0,0 +1,83 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("fullySpecified", function() {
+	var resolver;
+
+	beforeEach(function() {
+		var fileSystem = Volume.fromJSON(
+			{
+				"/a/file.js": "",
+				"/a/dir/index.js": "",
+				"/a/node_modules/pkg/package.json": JSON.stringify({
+					main: "./lib/main"
+				}),
+				"/a/node_modules/pkg/lib/main.js": "",
+				"/a/node_modules/pkg/lib/other.js": "",
+				"/a/node_modules/no-main/index.js": "",
+				"/a/node_modules/exports/package.json": JSON.stringify({
+					exports: { "./feature": "./src/feature" }
+				}),
+				"/a/node_modules/exports/src/feature.js": ""
+			},
+			"/"
+		);
+		resolver = ResolverFactory.createResolver({
+			fullySpecified: true,
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+	});
+
+	it("should resolve fully specified requests", function() {
+		resolver.resolveSync({}, "/a", "./file.js").should.be.eql("/a/file.js");
+		resolver
+			.resolveSync({}, "/a", "./dir/index.js")
+			.should.be.eql("/a/dir/index.js");
+		resolver
+			.resolveSync({}, "/a", "/a/file.js?query")
+			.should.be.eql("/a/file.js?query");
+		resolver
+			.resolveSync({}, "/a", "pkg/lib/other.js")
+			.should.be.eql("/a/node_modules/pkg/lib/other.js");
+	});
+
+	it("should not try extensions", function() {
+		(function() {
+			resolver.resolveSync({}, "/a", "./file");
+		}.should.throw(/Did you mean '\.\/file\.js'\?/));
+		(function() {
+			resolver.resolveSync({}, "/a", "pkg/lib/other");
+		}.should.throw(
+			/It would resolve to '\/a\/node_modules\/pkg\/lib\/other\.js'/
+		));
+	});
+
+	it("should not resolve directories", function() {
+		(function() {
+			resolver.resolveSync({}, "/a", "./dir");
+		}.should.throw(/Did you mean '\.\/dir\/index\.js'\?/));
+		(function() {
+			resolver.resolveSync({}, "/a", "./dir/?query");
+		}.should.throw(/Did you mean '\.\/dir\/index\.js\?query'\?/));
+	});
+
+	it("should still resolve main fields and exports targets", function() {
+		resolver
+			.resolveSync({}, "/a", "pkg")
+			.should.be.eql("/a/node_modules/pkg/lib/main.js");
+		resolver
+			.resolveSync({}, "/a", "no-main")
+			.should.be.eql("/a/node_modules/no-main/index.js");
+		resolver
+			.resolveSync({}, "/a", "exports/feature")
+			.should.be.eql("/a/node_modules/exports/src/feature.js");
+	});
+
+	it("should not give a hint when the request can't be resolved at all", function() {
+		(function() {
+			resolver.resolveSync({}, "/a", "./missing");
+		}.should.throw(/^Can't resolve '\.\/missing' in '\/a'$/));
+	});
+});
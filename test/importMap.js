@@ -0,0 +1,155 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("importMap", function() {
+	var fileSystem;
+
+	beforeEach(function() {
+		fileSystem = Volume.fromJSON(
+			{
+				"/app/importmap.json": JSON.stringify({
+					imports: {
+						lodash: "./vendor/lodash/lodash.js",
+						"lodash/": "./vendor/lodash/",
+						"lodash/fp/": "./vendor/lodash-fp/",
+						react: "/app/vendor/react.js",
+						blocked: null,
+						invalid: "bare-address"
+					},
+					scopes: {
+						"./legacy/": {
+							react: "./vendor/react-legacy.js"
+						},
+						"./legacy/old/": {
+							lodash: "./vendor/lodash-old.js"
+						}
+					}
+				}),
+				"/app/vendor/lodash/lodash.js": "",
+				"/app/vendor/lodash/map.js": "",
+				"/app/vendor/lodash-fp/map.js": "",
+				"/app/vendor/lodash-old.js": "",
+				"/app/vendor/react.js": "",
+				"/app/vendor/react-legacy.js": "",
+				"/app/src/index.js": "",
+				"/app/legacy/old/index.js": "",
+				"/app/node_modules/other/index.js": "",
+				"/app/node_modules/lodash/index.js": ""
+			},
+			"/"
+		);
+	});
+
+	function createResolver(importMap) {
+		return ResolverFactory.createResolver({
+			importMap: importMap,
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+	}
+
+	it("should map exact specifiers", function() {
+		var resolver = createResolver("/app/importmap.json");
+		resolver
+			.resolveSync({}, "/app/src", "lodash")
+			.should.be.eql("/app/vendor/lodash/lodash.js");
+		resolver
+			.resolveSync({}, "/app/src", "react")
+			.should.be.eql("/app/vendor/react.js");
+	});
+
+	it("should map trailing-slash packages with the longest prefix", function() {
+		var resolver = createResolver("/app/importmap.json");
+		resolver
+			.resolveSync({}, "/app/src", "lodash/map.js")
+			.should.be.eql("/app/vendor/lodash/map.js");
+		resolver
+			.resolveSync({}, "/app/src", "lodash/fp/map.js")
+			.should.be.eql("/app/vendor/lodash-fp/map.js");
+	});
+
+	it("should select scopes by the issuer path", function() {
+		var resolver = createResolver("/app/importmap.json");
+		resolver
+			.resolveSync({}, "/app/legacy", "react")
+			.should.be.eql("/app/vendor/react-legacy.js");
+		resolver
+			.resolveSync({}, "/app/legacy/old", "react")
+			.should.be.eql("/app/vendor/react-legacy.js");
+		resolver
+			.resolveSync({}, "/app/legacy/old", "lodash")
+			.should.be.eql("/app/vendor/lodash-old.js");
+		resolver
+			.resolveSync({}, "/app/legacy", "lodash")
+			.should.be.eql("/app/vendor/lodash/lodash.js");
+	});
+
+	it("should resolve unmapped specifiers as modules", function() {
+		createResolver("/app/importmap.json")
+			.resolveSync({}, "/app/src", "other")
+			.should.be.eql("/app/node_modules/other/index.js");
+	});
+
+	it("should block null and invalid addresses", function() {
+		var resolver = createResolver("/app/importmap.json");
+		(function() {
+			resolver.resolveSync({}, "/app/src", "blocked");
+		}.should.throw(/blocked by the import map/));
+		(function() {
+			resolver.resolveSync({}, "/app/src", "invalid");
+		}.should.throw(/blocked by the import map/));
+	});
+
+	it("should not backtrack above a prefix", function() {
+		(function() {
+			createResolver("/app/importmap.json").resolveSync(
+				{},
+				"/app/src",
+				"lodash/../react.js"
+			);
+		}.should.throw(/backtracks above the prefix/));
+	});
+
+	it("should not fall back to modules for mapped specifiers", function() {
+		(function() {
+			createResolver("/app/importmap.json").resolveSync(
+				{},
+				"/app/src",
+				"lodash/missing.js"
+			);
+		}.should.throw(/Can't resolve 'lodash\/missing.js'/));
+	});
+
+	it("should accept an import map object", function() {
+		createResolver({ imports: { react: "/app/vendor/react.js" } })
+			.resolveSync({}, "/app/src", "react")
+			.should.be.eql("/app/vendor/react.js");
+	});
+
+	it("should reject relative urls in an import map object", function() {
+		(function() {
+			createResolver({ imports: { react: "./vendor/react.js" } });
+		}.should.throw(
+			/relative url '\.\/vendor\/react\.js' of the import map object/
+		));
+		(function() {
+			createResolver({ scopes: { "./legacy/": {} } });
+		}.should.throw(/relative url '\.\/legacy\/' of the import map object/));
+	});
+
+	it("should add the import map to the file dependencies", function(done) {
+		var fileDependencies = new Set();
+		createResolver("/app/importmap.json").resolve(
+			{},
+			"/app/src",
+			"react",
+			{ fileDependencies },
+			function(err) {
+				if (err) return done(err);
+				Array.from(fileDependencies).should.containEql("/app/importmap.json");
+				done();
+			}
+		);
+	});
+});
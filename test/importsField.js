@@ -0,0 +1,91 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { processImportsField } = require("../lib/entrypoints");
+var { Volume } = require("memfs");
+
+describe("importsField", function() {
+	var resolver;
+
+	beforeEach(function() {
+		var fileSystem = Volume.fromJSON(
+			{
+				"/app/package.json": JSON.stringify({
+					name: "app",
+					imports: {
+						"#utils/*": "./src/utils/*.js",
+						"#config": {
+							browser: "./src/config.browser.js",
+							default: "./src/config.js"
+						},
+						"#dep": "dep/lib/index.js",
+						"#missing": null,
+						"#outside": "./../outside.js"
+					}
+				}),
+				"/app/src/utils/log.js": "",
+				"/app/src/config.js": "",
+				"/app/src/config.browser.js": "",
+				"/app/src/nested/file.js": "",
+				"/app/node_modules/dep/lib/index.js": "",
+				"/no-imports/package.json": JSON.stringify({ name: "no-imports" }),
+				"/no-imports/node_modules/#legacy/index.js": ""
+			},
+			"/"
+		);
+		resolver = ResolverFactory.createResolver({
+			conditionNames: ["node"],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+	});
+
+	it("should resolve a pattern relative to the package root", function() {
+		resolver
+			.resolveSync({}, "/app/src/nested", "#utils/log")
+			.should.be.eql("/app/src/utils/log.js");
+	});
+
+	it("should resolve conditions", function() {
+		resolver
+			.resolveSync({}, "/app/src", "#config")
+			.should.be.eql("/app/src/config.js");
+	});
+
+	it("should resolve a target that is a package", function() {
+		resolver
+			.resolveSync({}, "/app/src", "#dep")
+			.should.be.eql("/app/node_modules/dep/lib/index.js");
+	});
+
+	it("should fail for a request that isn't imported", function() {
+		(function() {
+			resolver.resolveSync({}, "/app/src", "#unknown");
+		}.should.throw(/Package import #unknown is not imported from package/));
+		(function() {
+			resolver.resolveSync({}, "/app/src", "#missing");
+		}.should.throw(/is not imported from package/));
+	});
+
+	it("should not allow targets outside of the package", function() {
+		(function() {
+			resolver.resolveSync({}, "/app/src", "#outside");
+		}.should.throw(/out of package scope/));
+	});
+
+	it("should keep the old behavior without imports field", function() {
+		resolver
+			.resolveSync({}, "/no-imports", "#legacy")
+			.should.be.eql("/no-imports/node_modules/#legacy/index.js");
+	});
+
+	describe("processImportsField", function() {
+		it("should throw on invalid keys", function() {
+			(function() {
+				processImportsField({ "./a": "./b.js" });
+			}.should.throw(/Imports field key should start with "#"/));
+			(function() {
+				processImportsField({ "#/a": "./b.js" });
+			}.should.throw(/should not start with "#\/"/));
+		});
+	});
+});
@@ -0,0 +1,56 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("preferRelative", function() {
+	var fileSystem;
+
+	beforeEach(function() {
+		fileSystem = Volume.fromJSON(
+			{
+				"/project/styles/logo.png": "",
+				"/project/styles/main.css": "",
+				"/project/styles/icons/icon.svg": "",
+				"/project/node_modules/logo.png/index.js": "",
+				"/project/node_modules/module/index.js": ""
+			},
+			"/"
+		);
+	});
+
+	function createResolver(preferRelative) {
+		return ResolverFactory.createResolver({
+			preferRelative: preferRelative,
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+	}
+
+	it("should resolve a bare request as relative first", function() {
+		var resolver = createResolver(true);
+		resolver
+			.resolveSync({}, "/project/styles", "logo.png")
+			.should.be.eql("/project/styles/logo.png");
+		resolver
+			.resolveSync({}, "/project/styles", "icons/icon.svg")
+			.should.be.eql("/project/styles/icons/icon.svg");
+	});
+
+	it("should fall back to modules", function() {
+		createResolver(true)
+			.resolveSync({}, "/project/styles", "module")
+			.should.be.eql("/project/node_modules/module/index.js");
+	});
+
+	it("should still resolve relative requests", function() {
+		createResolver(true)
+			.resolveSync({}, "/project/styles", "./main.css")
+			.should.be.eql("/project/styles/main.css");
+	});
+
+	it("should resolve bare requests as modules by default", function() {
+		createResolver(false)
+			.resolveSync({}, "/project/styles", "logo.png")
+			.should.be.eql("/project/node_modules/logo.png/index.js");
+	});
+});
@@ -0,0 +1,110 @@
+var should = require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("profile", function() {
+	var fileSystem;
+
+	beforeEach(function() {
+		fileSystem = Volume.fromJSON(
+			{
+				"/a/index.js": "",
+				"/a/node_modules/m1/package.json": JSON.stringify({ main: "main.js" }),
+				"/a/node_modules/m1/main.js": ""
+			},
+			"/"
+		);
+	});
+
+	function createResolver(options) {
+		return ResolverFactory.createResolver(
+			Object.assign(
+				{
+					extensions: [".js"],
+					useSyncFileSystemCalls: true,
+					fileSystem: fileSystem
+				},
+				options
+			)
+		);
+	}
+
+	function findEntry(entries, name) {
+		var entry = entries.find(function(entry) {
+			return entry.name === name;
+		});
+		should(entry).be.ok();
+		return entry;
+	}
+
+	it("should count the calls of hooks and plugins", function() {
+		var resolver = createResolver({ profile: true });
+		resolver.resolveSync({}, "/a", "m1");
+		resolver.resolveSync({}, "/a", "./index");
+		var profile = resolver.getProfile();
+		findEntry(profile.hooks, "resolve").calls.should.be.eql(2);
+		findEntry(profile.hooks, "rawModule").calls.should.be.eql(1);
+		findEntry(profile.plugins, "ModuleKindPlugin").calls.should.be.eql(2);
+		findEntry(profile.plugins, "DescriptionFilePlugin").calls.should.be.above(
+			1
+		);
+		findEntry(profile.plugins, "FileExistsPlugin").calls.should.be.above(1);
+	});
+
+	it("should measure the time of hooks and plugins", function() {
+		var resolver = createResolver({ profile: true });
+		resolver.resolveSync({}, "/a", "m1");
+		var profile = resolver.getProfile();
+		profile.hooks.concat(profile.plugins).forEach(function(entry) {
+			entry.time.should.be.type("number");
+			entry.selfTime.should.be.type("number");
+			entry.selfTime.should.not.be.above(entry.time);
+		});
+		var resolveHook = findEntry(profile.hooks, "resolve");
+		// the resolve hook contains all other steps
+		profile.plugins.forEach(function(entry) {
+			entry.selfTime.should.not.be.above(resolveHook.time);
+		});
+	});
+
+	it("should sort the entries by self time", function() {
+		var resolver = createResolver({ profile: true });
+		resolver.resolveSync({}, "/a", "m1");
+		var profile = resolver.getProfile();
+		[profile.hooks, profile.plugins].forEach(function(entries) {
+			for (var i = 1; i < entries.length; i++) {
+				entries[i - 1].selfTime.should.not.be.below(entries[i].selfTime);
+			}
+		});
+	});
+
+	it("should measure plugins which are added later", function(done) {
+		var resolver = createResolver({ profile: true });
+		resolver.hooks.describedResolve.tapPromise("PromisePlugin", function() {
+			return new Promise(function(resolve) {
+				setTimeout(resolve, 20);
+			});
+		});
+		resolver.resolve({}, "/a", "./index", {}, function(err) {
+			if (err) return done(err);
+			var entry = findEntry(resolver.getProfile().plugins, "PromisePlugin");
+			entry.calls.should.be.eql(1);
+			entry.selfTime.should.be.above(10);
+			done();
+		});
+	});
+
+	it("should return copies of the entries", function() {
+		var resolver = createResolver({ profile: true });
+		resolver.resolveSync({}, "/a", "m1");
+		findEntry(resolver.getProfile().hooks, "resolve").calls = 100;
+		findEntry(resolver.getProfile().hooks, "resolve").calls.should.be.eql(1);
+	});
+
+	it("should fail when profiling is not enabled", function() {
+		var resolver = createResolver({});
+		(function() {
+			resolver.getProfile();
+		}.should.throw(/'profile' option/));
+	});
+});
@@ -0,0 +1,74 @@
+var should = require("should");
+var path = require("path");
+var resolve = require("../");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+var fixtures = path.join(__dirname, "fixtures");
+
+describe("promise", function() {
+	it("should resolve with path and request", function() {
+		return resolve.promise(fixtures, "./main1").then(function(result) {
+			result.path.should.be.eql(path.join(fixtures, "main1.js"));
+			should(result.request).have.property(
+				"descriptionFilePath",
+				path.join(fixtures, "..", "..", "package.json")
+			);
+		});
+	});
+
+	it("should keep the query", function() {
+		return resolve.promise({}, fixtures, "m1/a?query").then(function(result) {
+			result.path.should.be.eql(
+				path.join(fixtures, "node_modules", "m1", "a.js") + "?query"
+			);
+		});
+	});
+
+	it("should fill the resolve context", function() {
+		var fileDependencies = new Set();
+		var missingDependencies = new Set();
+		return resolve
+			.promise(fixtures, "./main1", { fileDependencies, missingDependencies })
+			.then(function() {
+				Array.from(fileDependencies).should.containEql(
+					path.join(fixtures, "main1.js")
+				);
+				Array.from(missingDependencies).should.containEql(
+					path.join(fixtures, "main1")
+				);
+			});
+	});
+
+	it("should reject with the detailed error", function() {
+		return resolve.promise(fixtures, "./missing").then(
+			function() {
+				throw new Error("Resolving should fail");
+			},
+			function(err) {
+				err.message.should.match(/Can't resolve '\.\/missing'/);
+				err.should.have.property("details");
+			}
+		);
+	});
+
+	it("should resolve with a custom resolver", function() {
+		var myResolve = resolve.create.promise({
+			extensions: [".txt"]
+		});
+		return myResolve(fixtures, "./abc").then(function(result) {
+			result.path.should.be.eql(path.join(fixtures, "abc.txt"));
+		});
+	});
+
+	it("should be available on the resolver", function() {
+		var fileSystem = Volume.fromJSON({ "/a/file.js": "" }, "/");
+		var resolver = ResolverFactory.createResolver({
+			extensions: [".js"],
+			fileSystem: fileSystem
+		});
+		return resolver.resolvePromise({}, "/a", "./file").then(function(result) {
+			result.path.should.be.eql("/a/file.js");
+		});
+	});
+});
@@ -0,0 +1,109 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("restrictions", function() {
+	var fileSystem;
+
+	beforeEach(function() {
+		fileSystem = Volume.fromJSON(
+			{
+				"/project/src/style.js": "",
+				"/project/src/style.css": "",
+				"/project/src/node_modules/pck/index.js": "",
+				"/project/node_modules/pck/index.css": "",
+				"/project/node_modules/other/index.js": "",
+				"/project/lib/util.js": ""
+			},
+			"/"
+		);
+	});
+
+	it("should try other alternatives when a path is rejected by a RegExp", function() {
+		var resolver = ResolverFactory.createResolver({
+			extensions: [".js", ".css"],
+			restrictions: [/\.css$/],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+		resolver
+			.resolveSync({}, "/project/src", "./style")
+			.should.be.eql("/project/src/style.css");
+		resolver
+			.resolveSync({}, "/project/src", "pck")
+			.should.be.eql("/project/node_modules/pck/index.css");
+	});
+
+	it("should only accept paths inside of a string restriction", function() {
+		var resolver = ResolverFactory.createResolver({
+			restrictions: ["/project/src"],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+		resolver
+			.resolveSync({}, "/project/src", "./style")
+			.should.be.eql("/project/src/style.js");
+		(function() {
+			resolver.resolveSync({}, "/project/src", "../lib/util");
+		}.should.throw(/Can't resolve/));
+	});
+
+	it("should not accept a path that only shares a prefix", function() {
+		var resolver = ResolverFactory.createResolver({
+			restrictions: ["/project/sr"],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+		(function() {
+			resolver.resolveSync({}, "/project/src", "./style");
+		}.should.throw(/Can't resolve/));
+	});
+
+	it("should log why a path was rejected", function(done) {
+		var resolver = ResolverFactory.createResolver({
+			restrictions: ["/project/src", /\.css$/],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+		var log = [];
+		resolver.resolve(
+			{},
+			"/project/src",
+			"other",
+			{ log: v => log.push(v) },
+			function(err) {
+				if (!err) return done(new Error("Resolving should fail"));
+				log
+					.join("\n")
+					.should.match(
+						/\/project\/node_modules\/other\/index\.js is not inside of the restriction \/project\/src/
+					);
+				done();
+			}
+		);
+	});
+
+	it("should log when a RegExp restriction doesn't match", function(done) {
+		var resolver = ResolverFactory.createResolver({
+			restrictions: [/\.css$/],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+		var log = [];
+		resolver.resolve(
+			{},
+			"/project/lib",
+			"./util",
+			{ log: v => log.push(v) },
+			function(err) {
+				if (!err) return done(new Error("Resolving should fail"));
+				log
+					.join("\n")
+					.should.match(
+						/\/project\/lib\/util\.js doesn't match the restriction \/\\\.css\$\//
+					);
+				done();
+			}
+		);
+	});
+});
@@ -0,0 +1,80 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("roots", function() {
+	var fileSystem;
+
+	beforeEach(function() {
+		fileSystem = Volume.fromJSON(
+			{
+				"/project/public/images/logo.png": "",
+				"/project/static/fonts/font.woff": "",
+				"/project/static/images/logo.png": "",
+				"/images/logo.png": "",
+				"/project/src/index.js": ""
+			},
+			"/"
+		);
+	});
+
+	function createResolver(options) {
+		return ResolverFactory.createResolver({
+			extensions: [".js"],
+			roots: ["/project/public", "/project/static"],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem,
+			...options
+		});
+	}
+
+	it("should resolve server-relative requests in the roots", function() {
+		var resolver = createResolver();
+		resolver
+			.resolveSync({}, "/project/src", "/images/logo.png")
+			.should.be.eql("/project/public/images/logo.png");
+		resolver
+			.resolveSync({}, "/project/src", "/fonts/font.woff")
+			.should.be.eql("/project/static/fonts/font.woff");
+	});
+
+	it("should fall back to the absolute path", function() {
+		createResolver()
+			.resolveSync({}, "/project/src", "/project/src/index")
+			.should.be.eql("/project/src/index.js");
+	});
+
+	it("should try the absolute path first with preferAbsolute", function() {
+		var resolver = createResolver({ preferAbsolute: true });
+		resolver
+			.resolveSync({}, "/project/src", "/images/logo.png")
+			.should.be.eql("/images/logo.png");
+		resolver
+			.resolveSync({}, "/project/src", "/fonts/font.woff")
+			.should.be.eql("/project/static/fonts/font.woff");
+	});
+
+	it("should not affect relative requests", function() {
+		createResolver()
+			.resolveSync({}, "/project/src", "./index")
+			.should.be.eql("/project/src/index.js");
+	});
+
+	it("should log the root paths", function(done) {
+		var log = [];
+		createResolver().resolve(
+			{},
+			"/project/src",
+			"/fonts/font.woff",
+			{ log: v => log.push(v) },
+			function(err, result) {
+				if (err) return done(err);
+				if (!result) return done(new Error("No result"));
+				result.should.be.eql("/project/static/fonts/font.woff");
+				log.should.containEql("  root path /project/public");
+				log.should.containEql("  root path /project/static");
+				done();
+			}
+		);
+	});
+});
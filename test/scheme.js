@@ -0,0 +1,103 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("scheme", function() {
+	var resolver;
+
+	beforeEach(function() {
+		var fileSystem = Volume.fromJSON(
+			{
+				"/a/file.js": "",
+				"/a/with space.js": "",
+				"/a/with#hash.js": "",
+				"/a/node_modules/other:thing/index.js": "",
+				"/virtual/entry.js": ""
+			},
+			"/"
+		);
+		resolver = ResolverFactory.createResolver({
+			extensions: [".js"],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+	});
+
+	it("should convert file urls to paths", function() {
+		resolver
+			.resolveSync({}, "/", "file:///a/file.js")
+			.should.be.eql("/a/file.js");
+		resolver.resolveSync({}, "/", "file:///a/file").should.be.eql("/a/file.js");
+		resolver
+			.resolveSync({}, "/", "file://localhost/a/file.js")
+			.should.be.eql("/a/file.js");
+	});
+
+	it("should decode file urls", function() {
+		resolver
+			.resolveSync({}, "/", "file:///a/with%20space.js")
+			.should.be.eql("/a/with space.js");
+		resolver
+			.resolveSync({}, "/", "file:///a/with%23hash.js")
+			.should.be.eql("/a/with#hash.js");
+	});
+
+	it("should keep query and fragment of file urls", function() {
+		resolver
+			.resolveSync({}, "/", "file:///a/file.js?query#hash")
+			.should.be.eql("/a/file.js?query#hash");
+	});
+
+	it("should fail for file urls which don't exist", function() {
+		(function() {
+			resolver.resolveSync({}, "/a", "file:///a/missing.js");
+		}.should.throw(/Can't resolve 'file:\/\/\/a\/missing.js'/));
+		(function() {
+			resolver.resolveSync({}, "/a", "file://host/a/file.js");
+		}.should.throw(/host must be "localhost" or empty/));
+	});
+
+	it("should pass data uris through", function() {
+		var uri = "data:text/javascript,console.log('?#')";
+		resolver.resolveSync({}, "/a", uri).should.be.eql(uri);
+	});
+
+	it("should pass data uris to the result hook", function() {
+		var uri = "data:text/javascript,export default 1";
+		var results = [];
+		resolver.hooks.result.tap("Test", function(request) {
+			results.push(request.path);
+		});
+		resolver.resolveSync({}, "/a", uri).should.be.eql(uri);
+		results.should.be.eql([uri]);
+	});
+
+	it("should resolve unknown schemes like before", function() {
+		resolver
+			.resolveSync({}, "/a", "other:thing")
+			.should.be.eql("/a/node_modules/other:thing/index.js");
+	});
+
+	it("should allow to register schemes", function() {
+		resolver.hooks.scheme
+			.for("virtual")
+			.tapAsync("VirtualPlugin", function(request, resolveContext, callback) {
+				resolver.doResolve(
+					resolver.hooks.resolve,
+					{
+						...request,
+						request: "/virtual/" + request.request.slice("virtual:".length)
+					},
+					"virtual module",
+					resolveContext,
+					callback
+				);
+			});
+		resolver
+			.resolveSync({}, "/a", "virtual:entry")
+			.should.be.eql("/virtual/entry.js");
+		resolver
+			.resolveSync({}, "/a", "VIRTUAL:entry")
+			.should.be.eql("/virtual/entry.js");
+	});
+});
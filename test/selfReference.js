@@ -0,0 +1,62 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("selfReference", function() {
+	var resolver;
+
+	beforeEach(function() {
+		var fileSystem = Volume.fromJSON(
+			{
+				"/my-lib/package.json": JSON.stringify({
+					name: "my-lib",
+					exports: {
+						".": "./src/index.js",
+						"./feature": "./src/feature.js"
+					}
+				}),
+				"/my-lib/src/index.js": "",
+				"/my-lib/src/feature.js": "",
+				"/my-lib/test/node_modules/other/index.js": "",
+				"/no-exports/package.json": JSON.stringify({ name: "no-exports" }),
+				"/no-exports/index.js": "",
+				"/no-exports/node_modules/no-exports/index.js": ""
+			},
+			"/"
+		);
+		resolver = ResolverFactory.createResolver({
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+	});
+
+	it("should resolve the package by its own name", function() {
+		resolver
+			.resolveSync({}, "/my-lib/test", "my-lib")
+			.should.be.eql("/my-lib/src/index.js");
+		resolver
+			.resolveSync({}, "/my-lib/test", "my-lib/feature")
+			.should.be.eql("/my-lib/src/feature.js");
+	});
+
+	it("should respect the exports field", function() {
+		(function() {
+			resolver.resolveSync({}, "/my-lib/test", "my-lib/src/feature.js");
+		}.should.throw(/is not exported/));
+	});
+
+	it("should not match packages with a common prefix", function() {
+		(function() {
+			resolver.resolveSync({}, "/my-lib/test", "my-lib-other");
+		}.should.throw(/Can't resolve/));
+		resolver
+			.resolveSync({}, "/my-lib/test", "other")
+			.should.be.eql("/my-lib/test/node_modules/other/index.js");
+	});
+
+	it("should only be enabled with an exports field", function() {
+		resolver
+			.resolveSync({}, "/no-exports", "no-exports")
+			.should.be.eql("/no-exports/node_modules/no-exports/index.js");
+	});
+});
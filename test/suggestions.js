@@ -0,0 +1,106 @@
+var should = require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("suggestions", function() {
+	var fileSystem;
+
+	beforeEach(function() {
+		fileSystem = Volume.fromJSON(
+			{
+				"/app/src/header.tsx": "",
+				"/app/src/footer.js": "",
+				"/app/src/utils/index.js": "",
+				"/app/src/node_modules/local/index.js": "",
+				"/app/node_modules/lodash/index.js": "",
+				"/app/node_modules/react/index.js": "",
+				"/app/node_modules/@scope/package/index.js": "",
+				"/app/node_modules/@scope/pkg/index.js": ""
+			},
+			"/"
+		);
+	});
+
+	function getError(request, options) {
+		var resolver = ResolverFactory.createResolver(
+			Object.assign(
+				{
+					extensions: [".js"],
+					suggestions: true,
+					useSyncFileSystemCalls: true,
+					fileSystem: fileSystem
+				},
+				options
+			)
+		);
+		try {
+			resolver.resolveSync({}, "/app/src", request);
+		} catch (e) {
+			return e;
+		}
+		throw new Error("Resolving should fail");
+	}
+
+	it("should suggest files which differ in case and extension", function() {
+		var err = getError("./Header");
+		err.suggestions.should.be.eql(["./header.tsx"]);
+		err.message.should.endWith("Did you mean './header.tsx'?");
+	});
+
+	it("should suggest files with typos", function() {
+		getError("./fotter.js").suggestions.should.be.eql(["./footer.js"]);
+	});
+
+	it("should keep the query and fragment", function() {
+		getError("./Header?query#fragment").suggestions.should.be.eql([
+			"./header.tsx?query#fragment"
+		]);
+	});
+
+	it("should suggest packages with typos", function() {
+		var err = getError("lodahs/fp");
+		err.suggestions.should.be.eql(["lodash/fp"]);
+		err.message.should.endWith("Did you mean 'lodash/fp'?");
+		getError("@scope/pakage").suggestions.should.be.eql(["@scope/package"]);
+	});
+
+	it("should count swapped characters as one typo", function() {
+		getError("raect").suggestions.should.be.eql(["react"]);
+		getError("@scope/pgk").suggestions.should.be.eql(["@scope/pkg"]);
+	});
+
+	it("should suggest packages from all modules directories", function() {
+		getError("lokal").suggestions.should.be.eql(["local"]);
+	});
+
+	it("should suggest a relative request first", function() {
+		getError("utils").suggestions.should.be.eql(["./utils"]);
+		getError("header.tsx").suggestions.should.be.eql(["./header.tsx"]);
+	});
+
+	it("should list several suggestions", function() {
+		fileSystem.writeFileSync("/app/src/headers.ts", "");
+		getError("./heade.ts").message.should.endWith(
+			"Did you mean one of './header.tsx', './headers.ts'?"
+		);
+	});
+
+	it("should not suggest unrelated files", function() {
+		var err = getError("./missing");
+		err.suggestions.should.be.eql([]);
+		err.message.should.not.match(/Did you mean/);
+	});
+
+	it("should not suggest by default", function() {
+		var readdirCalls = 0;
+		var readdirSync = fileSystem.readdirSync;
+		fileSystem.readdirSync = function() {
+			readdirCalls++;
+			return readdirSync.apply(this, arguments);
+		};
+		var err = getError("./Header", { suggestions: undefined });
+		err.suggestions.should.be.eql([]);
+		should(err.message).not.match(/Did you mean/);
+		readdirCalls.should.be.eql(0);
+	});
+});
@@ -0,0 +1,247 @@
+var should = require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var ChromeTraceExporter = require("../lib/ChromeTraceExporter");
+var { Volume } = require("memfs");
+
+describe("trace", function() {
+	var resolver;
+
+	beforeEach(function() {
+		var fileSystem = Volume.fromJSON(
+			{
+				"/a/index.js": "",
+				"/a/node_modules/m1/package.json": JSON.stringify({ main: "main.js" }),
+				"/a/node_modules/m1/main.js": ""
+			},
+			"/"
+		);
+		resolver = ResolverFactory.createResolver({
+			extensions: [".js"],
+			tracePluginNames: true,
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+	});
+
+	function trace(request, callback) {
+		var events = [];
+		resolver.resolve(
+			{},
+			"/a",
+			request,
+			{
+				trace: function(event) {
+					events.push(event);
+				}
+			},
+			function(err, result) {
+				callback(err, result, events);
+			}
+		);
+	}
+
+	it("should wrap the resolving with resolve and finish", function(done) {
+		trace("m1", function(err, result, events) {
+			if (err) return done(err);
+			should(result).be.eql("/a/node_modules/m1/main.js");
+			var first = events[0];
+			var last = events[events.length - 1];
+			first.should.have.properties({
+				type: "resolve",
+				path: "/a",
+				request: "m1"
+			});
+			last.should.have.properties({
+				type: "finish",
+				outcome: "resolved",
+				result: "/a/node_modules/m1/main.js"
+			});
+			events.forEach(function(event) {
+				event.should.have.property("id", first.id);
+				event.time.should.be.type("number");
+			});
+			done();
+		});
+	});
+
+	it("should report entered and left hooks with plugins", function(done) {
+		trace("m1", function(err, result, events) {
+			if (err) return done(err);
+			var enters = events.filter(function(event) {
+				return event.type === "enter";
+			});
+			var leaves = events.filter(function(event) {
+				return event.type === "leave";
+			});
+			enters.length.should.be.eql(leaves.length);
+			enters[0].should.have.properties({ hook: "resolve", plugin: undefined });
+			var rawModule = enters.find(function(event) {
+				return event.hook === "rawModule";
+			});
+			should(rawModule).have.property("plugin", "ModuleKindPlugin");
+			should(rawModule.snapshot).have.properties({
+				path: "/a",
+				request: "m1",
+				module: true
+			});
+			should(rawModule.snapshot).not.have.property("descriptionFileData");
+			var existingFile = enters.find(function(event) {
+				return event.hook === "existingFile";
+			});
+			should(existingFile).have.properties({
+				plugin: "FileExistsPlugin",
+				message: "existing file: /a/node_modules/m1/main.js"
+			});
+			leaves[leaves.length - 1].should.have.properties({
+				hook: "resolve",
+				outcome: "resolved"
+			});
+			done();
+		});
+	});
+
+	it("should report file system calls", function(done) {
+		trace("m1", function(err, result, events) {
+			if (err) return done(err);
+			var fsEvents = events.filter(function(event) {
+				return event.type === "fs";
+			});
+			fsEvents.should.containDeep([
+				{ method: "stat", path: "/a/node_modules/m1/main.js" },
+				{ method: "readFile", path: "/a/node_modules/m1/package.json" },
+				{ method: "stat", path: "/a/node_modules/m1.js", error: "ENOENT" }
+			]);
+			fsEvents[0].duration.should.be.type("number");
+			done();
+		});
+	});
+
+	it("should report the outcome of failed resolving", function(done) {
+		trace("./missing", function(err, result, events) {
+			should(err).be.ok();
+			events[events.length - 1].should.have.properties({
+				type: "finish",
+				outcome: "error"
+			});
+			events
+				.filter(function(event) {
+					return event.type === "leave";
+				})
+				.pop()
+				.should.have.property("outcome", "not found");
+			done();
+		});
+	});
+
+	it("should not pass plugin names without tracing", function(done) {
+		var plugins = [];
+		resolver.hooks.describedResolve.tapAsync("Test", function(
+			request,
+			resolveContext,
+			callback
+		) {
+			plugins.push(resolveContext.plugin);
+			callback();
+		});
+		trace("./index", function(err) {
+			if (err) return done(err);
+			resolver.resolve({}, "/a", "./index", {}, function(err) {
+				if (err) return done(err);
+				plugins.should.be.eql(["Test", undefined]);
+				done();
+			});
+		});
+	});
+
+	it("should not intercept the hooks without the tracePluginNames option", function(done) {
+		var plainResolver = ResolverFactory.createResolver({
+			extensions: [".js"],
+			useSyncFileSystemCalls: true,
+			fileSystem: resolver.fileSystem
+		});
+		var events = [];
+		plainResolver.resolve(
+			{},
+			"/a",
+			"m1",
+			{
+				trace: function(event) {
+					events.push(event);
+				}
+			},
+			function(err, result) {
+				if (err) return done(err);
+				should(result).be.eql("/a/node_modules/m1/main.js");
+				events.forEach(function(event) {
+					should(event.plugin).be.undefined();
+				});
+				Object.keys(plainResolver.hooks).forEach(function(name) {
+					if (name === "scheme") return;
+					plainResolver.hooks[name].interceptors.should.be.eql([]);
+				});
+				plainResolver
+					.ensureHook("unusedStep")
+					.isUsed()
+					.should.be.eql(false);
+				done();
+			}
+		);
+	});
+
+	it("should report the plugins of scheme handlers", function(done) {
+		trace("data:text/javascript,1", function(err, result, events) {
+			if (err) return done(err);
+			events
+				.filter(function(event) {
+					return event.type === "enter" && event.hook === "resolved";
+				})
+				.should.containDeep([{ plugin: "DataSchemePlugin" }]);
+			done();
+		});
+	});
+
+	describe("ChromeTraceExporter", function() {
+		it("should export the trace event format", function(done) {
+			var exporter = new ChromeTraceExporter();
+			resolver.resolve({}, "/a", "m1", { trace: exporter.trace }, function(
+				err
+			) {
+				if (err) return done(err);
+				var json = JSON.parse(JSON.stringify(exporter));
+				var traceEvents = json.traceEvents;
+				traceEvents[0].should.have.properties({
+					name: "thread_name",
+					ph: "M",
+					args: { name: "resolve 'm1' in '/a'" }
+				});
+				traceEvents[1].should.have.properties({
+					name: "resolve 'm1' in '/a'",
+					ph: "B"
+				});
+				traceEvents[traceEvents.length - 1].should.have.properties({
+					ph: "E",
+					args: { outcome: "resolved", result: "/a/node_modules/m1/main.js" }
+				});
+				var begins = traceEvents.filter(function(event) {
+					return event.ph === "B";
+				});
+				var ends = traceEvents.filter(function(event) {
+					return event.ph === "E";
+				});
+				begins.length.should.be.eql(ends.length);
+				traceEvents
+					.filter(function(event) {
+						return event.ph === "X";
+					})
+					.should.containDeep([
+						{ name: "stat /a/node_modules/m1/main.js", cat: "fs" }
+					]);
+				traceEvents.forEach(function(event) {
+					event.ts.should.be.type("number");
+					event.tid.should.be.eql(traceEvents[0].tid);
+				});
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,185 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var { Volume } = require("memfs");
+
+describe("TsconfigPathsPlugin", function() {
+	var fileSystem;
+
+	beforeEach(function() {
+		fileSystem = Volume.fromJSON(
+			{
+				"/project/tsconfig.json": [
+					"{",
+					"  // comments are allowed",
+					'  "extends": "./tsconfig.base.json",',
+					'  "compilerOptions": {',
+					'    "paths": {',
+					'      "@app/*": ["./src/app/*", "./src/fallback/*"],',
+					'      "@utils": ["./src/utils/index.ts"],',
+					'      "@app/special/*": ["./src/special/*"], // trailing comma',
+					"    },",
+					"  },",
+					'  "references": [{ "path": "./packages/lib" }]',
+					"}"
+				].join("\n"),
+				"/project/tsconfig.base.json": JSON.stringify({
+					extends: "@company/tsconfig/base.json",
+					compilerOptions: { baseUrl: "." }
+				}),
+				"/project/node_modules/@company/tsconfig/base.json": JSON.stringify({
+					compilerOptions: { strict: true }
+				}),
+				"/project/src/app/main.ts": "",
+				"/project/src/fallback/other.ts": "",
+				"/project/src/special/thing.ts": "",
+				"/project/src/app/special/thing.ts": "",
+				"/project/src/utils/index.ts": "",
+				"/project/src/components/button.ts": "",
+				"/project/src/index.ts": "",
+				"/project/node_modules/react/index.js": "",
+				"/project/packages/lib/tsconfig.json": JSON.stringify({
+					compilerOptions: {
+						paths: { "@lib/*": ["./lib/*"] }
+					}
+				}),
+				"/project/packages/lib/lib/helper.ts": "",
+				"/project/packages/lib/index.ts": ""
+			},
+			"/"
+		);
+	});
+
+	function createResolver(tsconfig) {
+		return ResolverFactory.createResolver({
+			extensions: [".ts", ".js"],
+			tsconfig: tsconfig,
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+	}
+
+	it("should apply wildcard paths", function() {
+		var resolver = createResolver("/project/tsconfig.json");
+		resolver
+			.resolveSync({}, "/project/src", "@app/main")
+			.should.be.eql("/project/src/app/main.ts");
+		resolver
+			.resolveSync({}, "/project/src", "@app/other")
+			.should.be.eql("/project/src/fallback/other.ts");
+		resolver
+			.resolveSync({}, "/project/src", "@utils")
+			.should.be.eql("/project/src/utils/index.ts");
+	});
+
+	it("should keep $ in the matched segment", function() {
+		fileSystem.writeFileSync("/project/src/app/a$&b$'c$$.ts", "");
+		createResolver("/project/tsconfig.json")
+			.resolveSync({}, "/project/src", "@app/a$&b$'c$$")
+			.should.be.eql("/project/src/app/a$&b$'c$$.ts");
+	});
+
+	it("should prefer the longest prefix", function() {
+		createResolver("/project/tsconfig.json")
+			.resolveSync({}, "/project/src", "@app/special/thing")
+			.should.be.eql("/project/src/special/thing.ts");
+	});
+
+	it("should use the baseUrl from the extends chain", function() {
+		var resolver = createResolver("/project/tsconfig.json");
+		resolver
+			.resolveSync({}, "/project/src/app", "src/components/button")
+			.should.be.eql("/project/src/components/button.ts");
+		resolver
+			.resolveSync({}, "/project/src", "react")
+			.should.be.eql("/project/node_modules/react/index.js");
+	});
+
+	it("should use the tsconfig of a referenced project", function() {
+		var resolver = createResolver("/project/tsconfig.json");
+		resolver
+			.resolveSync({}, "/project/packages/lib", "@lib/helper")
+			.should.be.eql("/project/packages/lib/lib/helper.ts");
+		(function() {
+			resolver.resolveSync({}, "/project/packages/lib", "@app/main");
+		}.should.throw(/Can't resolve '@app\/main'/));
+		(function() {
+			resolver.resolveSync({}, "/project/src", "@lib/helper");
+		}.should.throw(/Can't resolve '@lib\/helper'/));
+	});
+
+	it("should allow to specify the references", function() {
+		var resolver = createResolver({
+			configFile: "/project/tsconfig.json",
+			references: []
+		});
+		resolver
+			.resolveSync({}, "/project/packages/lib", "@app/main")
+			.should.be.eql("/project/src/app/main.ts");
+	});
+
+	it("should add the tsconfig files to the file dependencies", function(done) {
+		var fileDependencies = new Set();
+		createResolver("/project/tsconfig.json").resolve(
+			{},
+			"/project/src",
+			"@app/main",
+			{ fileDependencies },
+			function(err) {
+				if (err) return done(err);
+				Array.from(fileDependencies).should.containEql(
+					"/project/tsconfig.json"
+				);
+				Array.from(fileDependencies).should.containEql(
+					"/project/tsconfig.base.json"
+				);
+				Array.from(fileDependencies).should.containEql(
+					"/project/node_modules/@company/tsconfig/base.json"
+				);
+				done();
+			}
+		);
+	});
+
+	it("should pick up changes of the tsconfig files", function() {
+		var resolver = createResolver("/project/tsconfig.json");
+		resolver
+			.resolveSync({}, "/project/src", "@utils")
+			.should.be.eql("/project/src/utils/index.ts");
+		fileSystem.writeFileSync(
+			"/project/tsconfig.base.json",
+			JSON.stringify({
+				compilerOptions: {
+					baseUrl: ".",
+					paths: { "@utils": ["./src/components/button.ts"] }
+				}
+			})
+		);
+		fileSystem.writeFileSync(
+			"/project/tsconfig.json",
+			JSON.stringify({ extends: "./tsconfig.base.json" })
+		);
+		resolver
+			.resolveSync({}, "/project/src", "@utils")
+			.should.be.eql("/project/src/components/button.ts");
+	});
+
+	it("should ignore a missing tsconfig", function() {
+		createResolver("/missing/tsconfig.json")
+			.resolveSync({}, "/project/src", "react")
+			.should.be.eql("/project/node_modules/react/index.js");
+	});
+
+	it("should report a missing extended tsconfig", function() {
+		fileSystem.writeFileSync(
+			"/project/tsconfig.json",
+			JSON.stringify({ extends: "./missing.json" })
+		);
+		(function() {
+			createResolver("/project/tsconfig.json").resolveSync(
+				{},
+				"/project/src",
+				"react"
+			);
+		}.should.throw(/Can't resolve tsconfig '\.\/missing\.json'/));
+	});
+});
@@ -0,0 +1,146 @@
+require("should");
+var ResolverFactory = require("../lib/ResolverFactory");
+var Resolver = require("../lib/Resolver");
+var { Volume } = require("memfs");
+
+describe("withOptions", function() {
+	var fileSystem;
+	var resolver;
+
+	beforeEach(function() {
+		fileSystem = Volume.fromJSON(
+			{
+				"/a/file.js": "",
+				"/a/file.ts": "",
+				"/a/dir/index.js": "",
+				"/a/node_modules/pkg/package.json": JSON.stringify({
+					main: "./main.js",
+					module: "./module.js"
+				}),
+				"/a/node_modules/pkg/main.js": "",
+				"/a/node_modules/pkg/module.js": ""
+			},
+			"/"
+		);
+		resolver = ResolverFactory.createResolver({
+			extensions: [".js"],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem
+		});
+	});
+
+	it("should override options", function() {
+		var contextResolver = resolver.withOptions({ resolveToContext: true });
+		contextResolver.resolveSync({}, "/a", "./dir").should.be.eql("/a/dir");
+		resolver.resolveSync({}, "/a", "./dir").should.be.eql("/a/dir/index.js");
+		resolver
+			.withOptions({ mainFields: ["module", "main"] })
+			.resolveSync({}, "/a", "pkg")
+			.should.be.eql("/a/node_modules/pkg/module.js");
+	});
+
+	it("should keep options which are not overridden", function() {
+		var tsResolver = resolver.withOptions({ extensions: [".ts"] });
+		tsResolver.resolveSync({}, "/a", "./file").should.be.eql("/a/file.ts");
+		tsResolver
+			.resolveSync({}, "/a", "pkg")
+			.should.be.eql("/a/node_modules/pkg/main.js");
+	});
+
+	it("should return the same resolver for the same options", function() {
+		var options = { resolveToContext: true };
+		resolver
+			.withOptions(options)
+			.should.be.equal(resolver.withOptions(options));
+		resolver.withOptions(options).should.not.be.equal(resolver);
+	});
+
+	it("should return the same resolver for equal options", function() {
+		resolver
+			.withOptions({ resolveToContext: true, mainFields: ["main"] })
+			.should.be.equal(
+				resolver.withOptions({ mainFields: ["main"], resolveToContext: true })
+			);
+		resolver
+			.withOptions({ mainFields: ["main"] })
+			.should.not.be.equal(resolver.withOptions({ mainFields: ["module"] }));
+		resolver
+			.withOptions({ restrictions: [/\.js$/] })
+			.should.be.equal(resolver.withOptions({ restrictions: [/\.js$/] }));
+		resolver
+			.withOptions({ restrictions: [/\.js$/] })
+			.should.not.be.equal(resolver.withOptions({ restrictions: [/\.ts$/] }));
+	});
+
+	it("should compare plugins and functions by identity", function() {
+		function alias() {
+			return false;
+		}
+		resolver
+			.withOptions({ alias: [{ name: "a", alias: alias }] })
+			.should.be.equal(
+				resolver.withOptions({ alias: [{ name: "a", alias: alias }] })
+			);
+		function Plugin() {}
+		Plugin.prototype.apply = function() {};
+		resolver
+			.withOptions({ plugins: [new Plugin()] })
+			.should.not.be.equal(resolver.withOptions({ plugins: [new Plugin()] }));
+	});
+
+	it("should share the file system but not the cached results", function() {
+		var unsafeCache = {};
+		var cachedResolver = ResolverFactory.createResolver({
+			extensions: [".js"],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem,
+			unsafeCache: unsafeCache
+		});
+		cachedResolver
+			.resolveSync({}, "/a", "pkg")
+			.should.be.eql("/a/node_modules/pkg/main.js");
+		cachedResolver
+			.resolveSync({}, "/a", "./dir")
+			.should.be.eql("/a/dir/index.js");
+		var moduleResolver = cachedResolver.withOptions({
+			mainFields: ["module", "main"]
+		});
+		moduleResolver.fileSystem.should.be.equal(cachedResolver.fileSystem);
+		moduleResolver
+			.resolveSync({}, "/a", "pkg")
+			.should.be.eql("/a/node_modules/pkg/module.js");
+		cachedResolver
+			.withOptions({ resolveToContext: true })
+			.resolveSync({}, "/a", "./dir")
+			.should.be.eql("/a/dir");
+		cachedResolver
+			.resolveSync({}, "/a", "pkg")
+			.should.be.eql("/a/node_modules/pkg/main.js");
+	});
+
+	it("should share the cached results between variants with equal options", function() {
+		var unsafeCache = {};
+		var options = {
+			extensions: [".js"],
+			useSyncFileSystemCalls: true,
+			fileSystem: fileSystem,
+			unsafeCache: unsafeCache
+		};
+		ResolverFactory.createResolver(options)
+			.withOptions({ mainFields: ["module", "main"] })
+			.resolveSync({}, "/a", "pkg")
+			.should.be.eql("/a/node_modules/pkg/module.js");
+		fileSystem.unlinkSync("/a/node_modules/pkg/module.js");
+		ResolverFactory.createResolver(options)
+			.withOptions({ mainFields: ["module", "main"] })
+			.resolveSync({}, "/a", "pkg")
+			.should.be.eql("/a/node_modules/pkg/module.js");
+	});
+
+	it("should throw for resolvers not created by the factory", function() {
+		var plainResolver = new Resolver(fileSystem, resolver.options);
+		(function() {
+			plainResolver.withOptions({});
+		}.should.throw(/not created by the ResolverFactory/));
+	});
+});